@@ -1,19 +1,46 @@
 // Audio Processing Unit (APU)
+import { BlipBuffer } from './blip.js';
+
+// Length registers (NR11, NR21, NR31, NR41): on DMG kept through power off
+// and writable while off
+const LENGTH_REGISTERS = new Set([0xFF11, 0xFF16, 0xFF1B, 0xFF20]);
+
+// Channel 3 fetches a wave RAM byte on one APU clock. The CPU works in
+// 4-cycle M-cycles, so accesses and retriggers in the same M-cycle as the
+// fetch count as hitting it.
+const WAVE_FETCH_WINDOW = 4;
+
+// Writes that leave the sound registers as the DMG boot ROM does, with
+// channel 1 on its last chime note (registers not listed stay 0)
+const POST_BOOT_REGISTERS = [
+    [0xFF10, 0x80], [0xFF11, 0xBF], [0xFF12, 0xF3], [0xFF13, 0xC1], [0xFF14, 0x07],
+    [0xFF16, 0x3F], [0xFF1A, 0x7F], [0xFF1B, 0xFF], [0xFF1C, 0x9F], [0xFF20, 0xFF],
+    [0xFF24, 0x77], [0xFF25, 0xF3]
+];
+
 export class APU {
     constructor() {
         this.audioContext = null;
         this.gainNode = null;
         this.scriptNode = null;
+        this.workletNode = null;
+        this.sink = null;          // 'worklet' or 'script' once audio is running
         this.enabled = false;
         this.initialized = false;
+        this.skipOutput = false;  // Set by the emulator to drop samples (e.g. fast-forward)
 
         // Sample rate and buffer
         this.sampleRate = 44100;
         this.samplesPerFrame = this.sampleRate / 60;
         this.sampleBuffer = new Float32Array(16384); // Ring buffer
-        this.bufferWritePos = 0;
-        this.bufferReadPos = 0;
-        this.bufferSize = 4096;
+        this.bufferState = new Int32Array(2);        // [readPos, writePos], shared with the worklet
+        this.bufferSize = 4096;    // ScriptProcessor callback size (fallback sink)
+
+        // AudioWorklet sink
+        this.latency = 0.05;       // Target output latency in seconds
+        this.postBlockSize = 256;  // Frames per block when posting over the MessagePort
+        this.sinkPort = null;      // Set when blocks are posted rather than shared
+        this.sinkQueuedFrames = 0; // Frames queued in the worklet, as last reported
 
         // Frame sequencer (512 Hz, steps 0-7)
         this.frameSequencerCycles = 0;
@@ -21,10 +48,42 @@ export class APU {
         this.cyclesPerSample = 4194304 / this.sampleRate; // ~95.1 cycles per sample
         this.sampleCycles = 0;
 
+        // Dynamic rate control: cyclesPerSample is nudged around this to hold
+        // the buffer at targetBufferFrames (see adjustRate)
+        this.baseCyclesPerSample = this.cyclesPerSample;
+        this.maxRateDelta = 0.005; // At most 0.5%, too small to hear as pitch
+
+        // 'point' samples the channels once per output sample (cheap, aliases);
+        // 'bandlimited' adds each level change at its exact time (see blip.js)
+        this.synthesis = 'point';
+        this.blipLeft = new BlipBuffer();
+        this.blipRight = new BlipBuffer();
+        this.blipActive = false;   // Band-limited synthesis running for this sample
+        this.blipLastLeft = 0;     // Mixed level already added to the blip buffers
+        this.blipLastRight = 0;
+
+        // Hardware quirks to follow: 'dmg' or 'cgb' (wave RAM access and
+        // corruption, length counters while powered off)
+        this.model = 'dmg';
+
+        // Output high-pass: the capacitor that blocks the DACs' DC offset.
+        // 'dmg' or 'cgb' match the hardware's charge rate, 'none' leaves it out.
+        this.highPass = 'dmg';
+        this.capacitorLeft = 0;
+        this.capacitorRight = 0;
+
+        // Buffer health: a callback that ran dry, or samples dropped on a full buffer
+        this.underruns = 0;
+        this.overruns = 0;
+        this.starved = false;
+        this.overflowing = false;
+
         // Master control
         this.masterEnable = true;
         this.masterVolLeft = 7;
         this.masterVolRight = 7;
+        this.vinLeft = false;    // NR50 cartridge audio input bits (stored, not mixed)
+        this.vinRight = false;
 
         // Channel enable for left/right
         this.ch1Left = true;
@@ -36,6 +95,23 @@ export class APU {
         this.ch4Left = true;
         this.ch4Right = true;
 
+        // Listening controls for channels 1-4 (index 0-3). Only the mix is
+        // affected, never the emulated registers.
+        this.channelMute = [false, false, false, false];
+        this.channelSolo = [false, false, false, false];
+        this.channelGain = [1, 1, 1, 1];
+        this.channelMix = [1, 1, 1, 1];  // Effective gain, from the three above
+
+        // WavRecorder tapping the output (see recorder.js), or null
+        this.recorder = null;
+        this.stemLevels = new Float32Array(8);
+
+        // VgmLogger recording register writes (see vgm.js), or null
+        this.vgmLogger = null;
+
+        // AudioVisualizer capturing channel levels and the mix (see visualizer.js), or null
+        this.visualizer = null;
+
         // Channel 1: Square wave with sweep
         this.ch1 = {
             enabled: false,
@@ -46,6 +122,7 @@ export class APU {
             sweepTimer: 0,
             sweepEnabled: false,
             sweepShadow: 0,
+            sweepNegated: false,  // A negate-mode calculation ran since the trigger
             duty: 0,
             lengthCounter: 0,
             lengthEnabled: false,
@@ -54,6 +131,7 @@ export class APU {
             envPeriod: 0,
             envTimer: 0,
             envVolume: 0,
+            envRunning: false,    // Envelope still updating (stops at 0 or 15)
             frequency: 0,
             timer: 0,
             dutyPos: 0,
@@ -72,6 +150,7 @@ export class APU {
             envPeriod: 0,
             envTimer: 0,
             envVolume: 0,
+            envRunning: false,    // Envelope still updating (stops at 0 or 15)
             frequency: 0,
             timer: 0,
             dutyPos: 0,
@@ -88,6 +167,8 @@ export class APU {
             frequency: 0,
             timer: 0,
             wavePos: 0,
+            sampleByte: 0,     // Wave RAM byte last fetched, played from
+            fetched: false,    // A byte was fetched since the last trigger
             output: 0
         };
         this.waveRam = new Uint8Array(16); // 32 4-bit samples
@@ -103,6 +184,7 @@ export class APU {
             envPeriod: 0,
             envTimer: 0,
             envVolume: 0,
+            envRunning: false,    // Envelope still updating (stops at 0 or 15)
             clockShift: 0,
             widthMode: 0,
             divisorCode: 0,
@@ -123,14 +205,35 @@ export class APU {
         this.noiseDivisors = [8, 16, 32, 48, 64, 80, 96, 112];
     }
 
+    // Ring buffer positions (in floats), kept in bufferState so a shared
+    // buffer can be read from the audio thread
+    get bufferReadPos() {
+        return Atomics.load(this.bufferState, 0);
+    }
+
+    set bufferReadPos(pos) {
+        Atomics.store(this.bufferState, 0, pos);
+    }
+
+    get bufferWritePos() {
+        return Atomics.load(this.bufferState, 1);
+    }
+
+    set bufferWritePos(pos) {
+        Atomics.store(this.bufferState, 1, pos);
+    }
+
     // Initialize Web Audio (must be called after user interaction)
+    // Uses an AudioWorklet where available, with ScriptProcessor as the fallback
     init() {
-        if (this.initialized) return;
+        if (this.audioContext) return;
 
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.sampleRate = this.audioContext.sampleRate;
+            this.samplesPerFrame = this.sampleRate / 60;
             this.cyclesPerSample = 4194304 / this.sampleRate;
+            this.baseCyclesPerSample = this.cyclesPerSample;
 
             // Resume audio context if suspended (required by browsers)
             if (this.audioContext.state === 'suspended') {
@@ -142,45 +245,151 @@ export class APU {
             this.gainNode.gain.value = 0.5;
             this.gainNode.connect(this.audioContext.destination);
 
-            // Create script processor for audio generation
-            this.scriptNode = this.audioContext.createScriptProcessor(this.bufferSize, 0, 2);
-            this.scriptNode.onaudioprocess = (e) => this.processAudio(e);
-            this.scriptNode.connect(this.gainNode);
-
-            this.initialized = true;
-            this.enabled = true;
+            if (this.audioContext.audioWorklet) {
+                this._initWorklet().catch((err) => {
+                    console.warn('AudioWorklet unavailable, using ScriptProcessor:', err);
+                    this._initScriptProcessor();
+                });
+            } else {
+                this._initScriptProcessor();
+            }
         } catch (err) {
             console.error('Failed to initialize audio:', err);
         }
     }
 
-    reset() {
+    _initScriptProcessor() {
+        this.scriptNode = this.audioContext.createScriptProcessor(this.bufferSize, 0, 2);
+        this.scriptNode.onaudioprocess = (e) => this.processAudio(e);
+        this.scriptNode.connect(this.gainNode);
+
+        this.sink = 'script';
+        this.initialized = true;
+        this.enabled = true;
+    }
+
+    async _initWorklet() {
+        await this.audioContext.audioWorklet.addModule(new URL('./audio-worklet.js', import.meta.url));
+
+        // Share the ring buffer with the audio thread if we can (needs cross-origin isolation),
+        // otherwise the worklet gets blocks over its MessagePort
+        const shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated;
+        if (shared) {
+            this.sampleBuffer = new Float32Array(new SharedArrayBuffer(this.sampleBuffer.byteLength));
+            this.bufferState = new Int32Array(new SharedArrayBuffer(8));
+        }
+
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'apu-sink', {
+            numberOfInputs: 0,
+            outputChannelCount: [2],
+            processorOptions: {
+                sharedBuffer: shared ? this.sampleBuffer.buffer : null,
+                sharedState: shared ? this.bufferState.buffer : null,
+                latencyFrames: this._latencyFrames()
+            }
+        });
+        this.workletNode.port.onmessage = (e) => this._onSinkMessage(e.data);
+        this.workletNode.connect(this.gainNode);
+        if (!shared) this.sinkPort = this.workletNode.port;
+
+        this.sink = 'worklet';
+        this.initialized = true;
+        this.enabled = true;
+    }
+
+    _onSinkMessage(data) {
+        switch (data.type) {
+            case 'fill': this.sinkQueuedFrames = data.frames; break;
+            case 'underrun': this.underruns++; break;
+            case 'overrun': this.overruns++; break;
+        }
+    }
+
+    _latencyFrames() {
+        return Math.round(this.latency * this.sampleRate);
+    }
+
+    // Target output latency in milliseconds (worklet sink only; the
+    // ScriptProcessor is bound to its callback size)
+    setLatency(ms) {
+        this.latency = Math.max(10, Math.min(150, ms)) / 1000;
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'latency', frames: this._latencyFrames() });
+        }
+    }
+
+    // Hand buffered samples to the worklet when it can't share the ring
+    _postSamples() {
+        const bufLen = this.sampleBuffer.length;
+        const count = this.getBufferedSamples();
+        const samples = new Float32Array(count);
+        let readPos = this.bufferReadPos;
+        for (let i = 0; i < count; i++) {
+            samples[i] = this.sampleBuffer[readPos];
+            readPos = (readPos + 1) % bufLen;
+        }
+        this.bufferReadPos = readPos;
+        this.sinkQueuedFrames += count / 2;
+        this.sinkPort.postMessage({ type: 'samples', samples }, [samples.buffer]);
+    }
+
+    // bootROM: power on with the APU off; the boot ROM enables it via NR52
+    reset(bootROM = false) {
+        this.masterEnable = !bootROM;
         this.frameSequencerCycles = 0;
         this.frameSequencerStep = 0;
         this.sampleCycles = 0;
-        this.bufferWritePos = 0;
-        this.bufferReadPos = 0;
-        this.sampleBuffer.fill(0);
+        this.clearBuffer();
+        this._clearBlip();
+        this.capacitorLeft = 0;
+        this.capacitorRight = 0;
+
+        // Power-on state: every register cleared, length counters included
+        this._clearRegisters();
+        for (const ch of [this.ch1, this.ch2, this.ch3, this.ch4]) {
+            ch.lengthCounter = 0;
+        }
+        this.waveRam.fill(0);
+        this.ch3.sampleByte = 0;
+
+        // Without a boot ROM, start with the registers as it leaves them.
+        // Channel 1 is still enabled (NR52 = 0xF1) after playing the chime.
+        if (!bootROM) {
+            for (const [addr, value] of POST_BOOT_REGISTERS) {
+                this._write(addr, value);
+            }
+            this.ch1.enabled = true;
+        }
+    }
 
-        // Reset channels
+    // NR52 power off: every register from NR10 to NR51 reads back as if
+    // written with 0 and the channels stop. Wave RAM and the length counters
+    // are kept (CGB clears the lengths too, see the NR52 write).
+    _clearRegisters() {
+        for (let addr = 0xFF10; addr <= 0xFF25; addr++) {
+            if (!LENGTH_REGISTERS.has(addr)) this._write(addr, 0);
+        }
+        this.ch1.duty = 0;
+        this.ch2.duty = 0;
+        this.ch1.sweepEnabled = false;
         this.ch1.enabled = false;
         this.ch2.enabled = false;
         this.ch3.enabled = false;
         this.ch4.enabled = false;
-
-        // Reset wave RAM
-        this.waveRam.fill(0);
     }
 
     // Step APU by given CPU cycles
     step(cycles) {
-        if (!this.masterEnable) return;
-
-        // Update frame sequencer (512 Hz = 8192 cycles)
-        this.frameSequencerCycles += cycles;
-        while (this.frameSequencerCycles >= 8192) {
-            this.frameSequencerCycles -= 8192;
-            this.clockFrameSequencer();
+        if (this.vgmLogger) this.vgmLogger.advance(cycles);
+
+        // Update frame sequencer (512 Hz = 8192 cycles). Powered off the channels
+        // are silent, but samples keep coming so recordings don't lose time.
+        if (this.masterEnable) {
+            this.frameSequencerCycles += cycles;
+            while (this.frameSequencerCycles >= 8192) {
+                this.frameSequencerCycles -= 8192;
+                this.clockFrameSequencer();
+            }
         }
 
         // Generate samples
@@ -188,6 +397,12 @@ export class APU {
         while (this.sampleCycles >= this.cyclesPerSample) {
             this.sampleCycles -= this.cyclesPerSample;
 
+            // Samples are needed for playback, a recording (which works headless)
+            // or the visualizer
+            const play = this.enabled && this.initialized && !this.skipOutput;
+            const output = play || this.recorder !== null || this.visualizer !== null;
+            this.blipActive = output && this.synthesis === 'bandlimited';
+
             // Clock channels
             this.clockChannel1(this.cyclesPerSample);
             this.clockChannel2(this.cyclesPerSample);
@@ -195,14 +410,41 @@ export class APU {
             this.clockChannel4(this.cyclesPerSample);
 
             // Mix and buffer sample
-            if (this.enabled && this.initialized) {
-                const [left, right] = this.mixChannels();
+            if (output) {
+                let left, right;
+                if (this.blipActive) {
+                    // Pick up changes between timer events (envelope, registers, channels stopping)
+                    this._blipChange(this.cyclesPerSample);
+                    left = this.blipLeft.readSample();
+                    right = this.blipRight.readSample();
+                } else {
+                    [left, right] = this.mixChannels();
+                }
+                [left, right] = this.applyHighPass(left, right);
+
+                if (this.recorder) {
+                    this.recorder.addSample(left, right,
+                        this.blipActive ? null : this.channelLevels(), this.highPassCharge());
+                }
+                if (this.visualizer) this.visualizer.addSample(this, left, right);
+                if (!play) continue;
 
-                // Ring buffer write
+                // Ring buffer write (dropped if full, rather than overwriting unplayed audio)
                 const bufLen = this.sampleBuffer.length;
+                const nextPos = (this.bufferWritePos + 2) % bufLen;
+                if (nextPos === this.bufferReadPos) {
+                    if (!this.overflowing) this.overruns++;
+                    this.overflowing = true;
+                    continue;
+                }
+                this.overflowing = false;
                 this.sampleBuffer[this.bufferWritePos] = left;
                 this.sampleBuffer[(this.bufferWritePos + 1) % bufLen] = right;
-                this.bufferWritePos = (this.bufferWritePos + 2) % bufLen;
+                this.bufferWritePos = nextPos;
+
+                if (this.sinkPort && this.getBufferedSamples() >= this.postBlockSize * 2) {
+                    this._postSamples();
+                }
             }
         }
     }
@@ -251,41 +493,25 @@ export class APU {
     }
 
     clockEnvelope() {
-        // Channel 1
-        if (this.ch1.envPeriod > 0) {
-            this.ch1.envTimer--;
-            if (this.ch1.envTimer <= 0) {
-                this.ch1.envTimer = this.ch1.envPeriod;
-                if (this.ch1.envDirection && this.ch1.envVolume < 15) {
-                    this.ch1.envVolume++;
-                } else if (!this.ch1.envDirection && this.ch1.envVolume > 0) {
-                    this.ch1.envVolume--;
-                }
-            }
-        }
-        // Channel 2
-        if (this.ch2.envPeriod > 0) {
-            this.ch2.envTimer--;
-            if (this.ch2.envTimer <= 0) {
-                this.ch2.envTimer = this.ch2.envPeriod;
-                if (this.ch2.envDirection && this.ch2.envVolume < 15) {
-                    this.ch2.envVolume++;
-                } else if (!this.ch2.envDirection && this.ch2.envVolume > 0) {
-                    this.ch2.envVolume--;
-                }
-            }
-        }
-        // Channel 4
-        if (this.ch4.envPeriod > 0) {
-            this.ch4.envTimer--;
-            if (this.ch4.envTimer <= 0) {
-                this.ch4.envTimer = this.ch4.envPeriod;
-                if (this.ch4.envDirection && this.ch4.envVolume < 15) {
-                    this.ch4.envVolume++;
-                } else if (!this.ch4.envDirection && this.ch4.envVolume > 0) {
-                    this.ch4.envVolume--;
-                }
-            }
+        this._clockEnvelope(this.ch1);
+        this._clockEnvelope(this.ch2);
+        this._clockEnvelope(this.ch4);
+    }
+
+    // A period of 0 never changes the volume. Once the volume can't move any
+    // further the envelope stops until the next trigger.
+    _clockEnvelope(ch) {
+        if (ch.envPeriod === 0) return;
+        ch.envTimer--;
+        if (ch.envTimer > 0) return;
+        ch.envTimer = ch.envPeriod;
+        if (!ch.envRunning) return;
+        if (ch.envDirection && ch.envVolume < 15) {
+            ch.envVolume++;
+        } else if (!ch.envDirection && ch.envVolume > 0) {
+            ch.envVolume--;
+        } else {
+            ch.envRunning = false;
         }
     }
 
@@ -311,6 +537,7 @@ export class APU {
         let newFreq = this.ch1.sweepShadow >> this.ch1.sweepShift;
         if (this.ch1.sweepNegate) {
             newFreq = this.ch1.sweepShadow - newFreq;
+            this.ch1.sweepNegated = true;
         } else {
             newFreq = this.ch1.sweepShadow + newFreq;
         }
@@ -330,8 +557,13 @@ export class APU {
 
         this.ch1.timer -= cycles;
         while (this.ch1.timer <= 0) {
+            const offset = cycles + this.ch1.timer;
             this.ch1.timer += (2048 - this.ch1.frequency) * 4;
             this.ch1.dutyPos = (this.ch1.dutyPos + 1) & 7;
+            if (this.blipActive) {
+                this.ch1.output = this.dutyPatterns[this.ch1.duty][this.ch1.dutyPos] * this.ch1.envVolume;
+                this._blipChange(offset);
+            }
         }
 
         this.ch1.output = this.dutyPatterns[this.ch1.duty][this.ch1.dutyPos] * this.ch1.envVolume;
@@ -345,8 +577,13 @@ export class APU {
 
         this.ch2.timer -= cycles;
         while (this.ch2.timer <= 0) {
+            const offset = cycles + this.ch2.timer;
             this.ch2.timer += (2048 - this.ch2.frequency) * 4;
             this.ch2.dutyPos = (this.ch2.dutyPos + 1) & 7;
+            if (this.blipActive) {
+                this.ch2.output = this.dutyPatterns[this.ch2.duty][this.ch2.dutyPos] * this.ch2.envVolume;
+                this._blipChange(offset);
+            }
         }
 
         this.ch2.output = this.dutyPatterns[this.ch2.duty][this.ch2.dutyPos] * this.ch2.envVolume;
@@ -360,13 +597,23 @@ export class APU {
 
         this.ch3.timer -= cycles;
         while (this.ch3.timer <= 0) {
+            const offset = cycles + this.ch3.timer;
             this.ch3.timer += (2048 - this.ch3.frequency) * 2;
             this.ch3.wavePos = (this.ch3.wavePos + 1) & 31;
+            this.ch3.sampleByte = this.waveRam[this.ch3.wavePos >> 1];
+            this.ch3.fetched = true;
+            if (this.blipActive) {
+                this.ch3.output = this.waveOutput();
+                this._blipChange(offset);
+            }
         }
 
-        // Get 4-bit sample from wave RAM
-        const byteIndex = this.ch3.wavePos >> 1;
-        let sample = this.waveRam[byteIndex];
+        this.ch3.output = this.waveOutput();
+    }
+
+    // Current channel 3 level: 4-bit sample from the fetched byte, volume shifted
+    waveOutput() {
+        let sample = this.ch3.sampleByte;
         if ((this.ch3.wavePos & 1) === 0) {
             sample = (sample >> 4) & 0x0F;
         } else {
@@ -375,7 +622,51 @@ export class APU {
 
         // Apply volume shift
         const volumeShifts = [4, 0, 1, 2]; // 0%, 100%, 50%, 25%
-        this.ch3.output = sample >> volumeShifts[this.ch3.volumeCode];
+        return sample >> volumeShifts[this.ch3.volumeCode];
+    }
+
+    // Channel 3 as of this cycle. It is only clocked once per output sample, so
+    // play the cycles since then (sampleCycles) forward without changing it.
+    _waveTiming() {
+        const ch3 = this.ch3;
+        const period = (2048 - ch3.frequency) * 2;
+        let timer = ch3.timer - this.sampleCycles;
+        let position = ch3.wavePos;
+        let fetched = ch3.fetched;
+        while (timer <= 0) {
+            timer += period;
+            position = (position + 1) & 31;
+            fetched = true;
+        }
+        return { position, fetched, sinceFetch: period - timer, untilFetch: timer };
+    }
+
+    // Wave RAM byte a CPU access to `addr` reaches, or -1 if it misses. While
+    // channel 3 plays, every address maps to the byte it is playing; DMG only
+    // allows that on the cycle the byte is fetched, CGB at any time.
+    _waveAccessIndex(addr) {
+        if (!this.ch3.enabled) return addr - 0xFF30;
+
+        const wave = this._waveTiming();
+        if (this.model === 'dmg' && !(wave.fetched && wave.sinceFetch < WAVE_FETCH_WINDOW)) {
+            return -1;
+        }
+        return wave.position >> 1;
+    }
+
+    // DMG: retriggering channel 3 as it fetches a byte overwrites the start of
+    // wave RAM: byte 0 with that byte if it is one of the first four, else
+    // bytes 0-3 with the aligned block of four it is in
+    _corruptWaveRam() {
+        const wave = this._waveTiming();
+        if (wave.untilFetch > WAVE_FETCH_WINDOW) return;
+
+        const index = ((wave.position + 1) & 31) >> 1;
+        if (index < 4) {
+            this.waveRam[0] = this.waveRam[index];
+        } else {
+            this.waveRam.copyWithin(0, index & ~3, (index & ~3) + 4);
+        }
     }
 
     clockChannel4(cycles) {
@@ -386,6 +677,7 @@ export class APU {
 
         this.ch4.timer -= cycles;
         while (this.ch4.timer <= 0) {
+            const offset = cycles + this.ch4.timer;
             const divisor = this.noiseDivisors[this.ch4.divisorCode];
             this.ch4.timer += divisor << this.ch4.clockShift;
 
@@ -397,32 +689,176 @@ export class APU {
                 this.ch4.lfsr &= ~(1 << 6);
                 this.ch4.lfsr |= xorResult << 6;
             }
+
+            if (this.blipActive) {
+                this.ch4.output = (this.ch4.lfsr & 1) ? 0 : this.ch4.envVolume;
+                this._blipChange(offset);
+            }
         }
 
         this.ch4.output = (this.ch4.lfsr & 1) ? 0 : this.ch4.envVolume;
     }
 
+    // DAC: digital 0-15 maps to analog 1.0 down to -1.0. A DAC that is off
+    // outputs 0, while an enabled DAC on a silent channel sits at 1.0 (DC).
+    dacOutput(channel) {
+        return channel.dacEnabled ? 1 - channel.output / 7.5 : 0;
+    }
+
     // Mix all channels
     mixChannels() {
         let left = 0;
         let right = 0;
 
-        if (this.ch1Left) left += this.ch1.output;
-        if (this.ch1Right) right += this.ch1.output;
-        if (this.ch2Left) left += this.ch2.output;
-        if (this.ch2Right) right += this.ch2.output;
-        if (this.ch3Left) left += this.ch3.output;
-        if (this.ch3Right) right += this.ch3.output;
-        if (this.ch4Left) left += this.ch4.output;
-        if (this.ch4Right) right += this.ch4.output;
-
-        // Apply master volume and normalize to -1.0 to 1.0
-        left = (left / 60) * ((this.masterVolLeft + 1) / 8);
-        right = (right / 60) * ((this.masterVolRight + 1) / 8);
+        const mix = this.channelMix;
+        const ch1 = this.dacOutput(this.ch1) * mix[0];
+        const ch2 = this.dacOutput(this.ch2) * mix[1];
+        const ch3 = this.dacOutput(this.ch3) * mix[2];
+        const ch4 = this.dacOutput(this.ch4) * mix[3];
+
+        if (this.ch1Left) left += ch1;
+        if (this.ch1Right) right += ch1;
+        if (this.ch2Left) left += ch2;
+        if (this.ch2Right) right += ch2;
+        if (this.ch3Left) left += ch3;
+        if (this.ch3Right) right += ch3;
+        if (this.ch4Left) left += ch4;
+        if (this.ch4Right) right += ch4;
+
+        // Apply master volume (NR50). Scaled so one channel is as loud as it was
+        // before the DAC model (4 channels at full swing reach +/-0.5).
+        left = (left / 8) * ((this.masterVolLeft + 1) / 8);
+        right = (right / 8) * ((this.masterVolRight + 1) / 8);
 
         return [left, right];
     }
 
+    // Level of each channel on each side [ch1 L, ch1 R, ch2 L, ...] after
+    // panning and NR50, ignoring the listening controls (for recorded stems)
+    channelLevels() {
+        const levels = this.stemLevels;
+        const channels = [this.ch1, this.ch2, this.ch3, this.ch4];
+        const panning = [
+            this.ch1Left, this.ch1Right, this.ch2Left, this.ch2Right,
+            this.ch3Left, this.ch3Right, this.ch4Left, this.ch4Right
+        ];
+        const volLeft = (this.masterVolLeft + 1) / 64;
+        const volRight = (this.masterVolRight + 1) / 64;
+
+        for (let i = 0; i < 4; i++) {
+            const dac = this.dacOutput(channels[i]);
+            levels[i * 2] = panning[i * 2] ? dac * volLeft : 0;
+            levels[i * 2 + 1] = panning[i * 2 + 1] ? dac * volRight : 0;
+        }
+        return levels;
+    }
+
+    // Per-channel listening controls; channel is 1-4
+    setChannelMute(channel, muted) {
+        this.channelMute[this._channelIndex(channel)] = muted;
+        this._updateChannelMix();
+    }
+
+    setChannelSolo(channel, solo) {
+        this.channelSolo[this._channelIndex(channel)] = solo;
+        this._updateChannelMix();
+    }
+
+    // gain: 0 (silent) to 2 (double)
+    setChannelGain(channel, gain) {
+        this.channelGain[this._channelIndex(channel)] = Math.max(0, Math.min(2, gain));
+        this._updateChannelMix();
+    }
+
+    _channelIndex(channel) {
+        if (!Number.isInteger(channel) || channel < 1 || channel > 4) {
+            throw new Error('Channel must be 1-4');
+        }
+        return channel - 1;
+    }
+
+    // If any channel is soloed only soloed channels play, otherwise all but the muted ones
+    _updateChannelMix() {
+        const anySolo = this.channelSolo.includes(true);
+        for (let i = 0; i < 4; i++) {
+            const audible = anySolo ? this.channelSolo[i] : !this.channelMute[i];
+            this.channelMix[i] = audible ? this.channelGain[i] : 0;
+        }
+    }
+
+    // High-pass filter per side, after NR50: the output capacitor charges
+    // towards the signal, and only the difference reaches the speaker.
+    // Charge factor per cycle: 0.999958 on DMG, 0.998943 on GBC (faster, less bass).
+    applyHighPass(left, right) {
+        if (this.highPass === 'none') return [left, right];
+
+        const charge = this.highPassCharge();
+        const outLeft = left - this.capacitorLeft;
+        const outRight = right - this.capacitorRight;
+        this.capacitorLeft = left - outLeft * charge;
+        this.capacitorRight = right - outRight * charge;
+        return [outLeft, outRight];
+    }
+
+    // Capacitor charge factor for one output sample (1 leaves the signal unfiltered)
+    highPassCharge() {
+        if (this.highPass === 'none') return 1;
+        return Math.pow(this.highPass === 'cgb' ? 0.998943 : 0.999958, this.cyclesPerSample);
+    }
+
+    // Hardware quirks: 'dmg' or 'cgb'
+    setModel(model) {
+        if (model !== 'dmg' && model !== 'cgb') {
+            throw new Error(`Unknown APU model "${model}"`);
+        }
+        this.model = model;
+    }
+
+    // 'dmg', 'cgb' or 'none'
+    setHighPass(mode) {
+        if (mode !== 'dmg' && mode !== 'cgb' && mode !== 'none') {
+            throw new Error(`Unknown high-pass filter "${mode}"`);
+        }
+        this.highPass = mode;
+        this.capacitorLeft = 0;
+        this.capacitorRight = 0;
+    }
+
+    // Band-limited synthesis: add the change in mixed level as a step at
+    // `offset` cycles into the current sample
+    _blipChange(offset) {
+        const [left, right] = this.mixChannels();
+        const time = offset / this.cyclesPerSample;
+        if (left !== this.blipLastLeft) {
+            this.blipLeft.addDelta(time, left - this.blipLastLeft);
+            this.blipLastLeft = left;
+        }
+        if (right !== this.blipLastRight) {
+            this.blipRight.addDelta(time, right - this.blipLastRight);
+            this.blipLastRight = right;
+        }
+        if (this.recorder && this.recorder.stems) {
+            this.recorder.stemChange(time, this.channelLevels());
+        }
+    }
+
+    // 'bandlimited' or 'point'
+    setSynthesis(mode) {
+        if (mode !== 'bandlimited' && mode !== 'point') {
+            throw new Error(`Unknown synthesis mode "${mode}"`);
+        }
+        this.synthesis = mode;
+        this._clearBlip();
+    }
+
+    _clearBlip() {
+        this.blipLeft.clear();
+        this.blipRight.clear();
+        this.blipLastLeft = 0;
+        this.blipLastRight = 0;
+        if (this.recorder) this.recorder.clearStems();
+    }
+
     // Calculate available samples in ring buffer
     getBufferedSamples() {
         const bufLen = this.sampleBuffer.length;
@@ -431,11 +867,41 @@ export class APU {
         return available;
     }
 
+    // Buffered audio in stereo frames (including any queued in the worklet),
+    // and the fill level pacing aims for: the latency target for the worklet,
+    // one callback for the ScriptProcessor, plus two emulated frames of headroom
+    getBufferedFrames() {
+        return this.getBufferedSamples() / 2 + (this.sinkPort ? this.sinkQueuedFrames : 0);
+    }
+
+    get targetBufferFrames() {
+        const latencyFrames = this.sink === 'worklet' ? this._latencyFrames() : this.bufferSize;
+        return latencyFrames + Math.ceil(this.samplesPerFrame) * 2;
+    }
+
+    // Dynamic rate control: produce slightly more samples when the buffer is
+    // below target and slightly fewer above it, so it settles instead of
+    // draining (crackle) or filling up (dropped samples)
+    adjustRate() {
+        if (!this.initialized || !this.enabled) {
+            this.resetRate();
+            return;
+        }
+        const error = 1 - this.getBufferedFrames() / this.targetBufferFrames;
+        const ratio = 1 + Math.max(-1, Math.min(1, error)) * this.maxRateDelta;
+        this.cyclesPerSample = this.baseCyclesPerSample / ratio;
+    }
+
+    resetRate() {
+        this.cyclesPerSample = this.baseCyclesPerSample;
+    }
+
     // Process audio buffer for Web Audio
     processAudio(event) {
         const leftChannel = event.outputBuffer.getChannelData(0);
         const rightChannel = event.outputBuffer.getChannelData(1);
         const bufLen = this.sampleBuffer.length;
+        let starved = false;
 
         for (let i = 0; i < leftChannel.length; i++) {
             if (this.bufferReadPos !== this.bufferWritePos) {
@@ -445,8 +911,13 @@ export class APU {
             } else {
                 leftChannel[i] = 0;
                 rightChannel[i] = 0;
+                starved = true;
             }
         }
+
+        // Count each time playback runs dry, not every silent callback after
+        if (starved && !this.starved) this.underruns++;
+        this.starved = starved;
     }
 
     // Register read/write
@@ -479,7 +950,9 @@ export class APU {
             case 0xFF23: return (this.ch4.lengthEnabled ? 0x40 : 0) | 0xBF;
 
             // Master control
-            case 0xFF24: return (this.masterVolLeft << 4) | this.masterVolRight | 0x88;
+            case 0xFF24:
+                return (this.vinLeft ? 0x80 : 0) | (this.masterVolLeft << 4) |
+                       (this.vinRight ? 0x08 : 0) | this.masterVolRight;
             case 0xFF25:
                 return (this.ch4Left ? 0x80 : 0) | (this.ch3Left ? 0x40 : 0) |
                        (this.ch2Left ? 0x20 : 0) | (this.ch1Left ? 0x10 : 0) |
@@ -493,24 +966,73 @@ export class APU {
             // Wave RAM (0xFF30-0xFF3F)
             default:
                 if (addr >= 0xFF30 && addr <= 0xFF3F) {
-                    return this.waveRam[addr - 0xFF30];
+                    const index = this._waveAccessIndex(addr);
+                    return index >= 0 ? this.waveRam[index] : 0xFF;
                 }
                 return 0xFF;
         }
     }
 
+    // Values that, written to NR10-NR51 in this order, rebuild the registers as
+    // they are now, including the write-only frequency and length bits. Trigger
+    // bits are clear. Used to dump the chip state (see VgmLogger.writeState).
+    registerValues() {
+        const { ch1, ch2, ch3, ch4 } = this;
+        const lengthEnable = (ch) => (ch.lengthEnabled ? 0x40 : 0);
+        return new Map([
+            [0xFF10, this.readRegister(0xFF10) & 0x7F],
+            [0xFF11, (ch1.duty << 6) | ((64 - ch1.lengthCounter) & 0x3F)],
+            [0xFF12, this.readRegister(0xFF12)],
+            [0xFF13, ch1.frequency & 0xFF],
+            [0xFF14, lengthEnable(ch1) | (ch1.frequency >> 8)],
+            [0xFF16, (ch2.duty << 6) | ((64 - ch2.lengthCounter) & 0x3F)],
+            [0xFF17, this.readRegister(0xFF17)],
+            [0xFF18, ch2.frequency & 0xFF],
+            [0xFF19, lengthEnable(ch2) | (ch2.frequency >> 8)],
+            [0xFF1A, ch3.dacEnabled ? 0x80 : 0],
+            [0xFF1B, (256 - ch3.lengthCounter) & 0xFF],
+            [0xFF1C, ch3.volumeCode << 5],
+            [0xFF1D, ch3.frequency & 0xFF],
+            [0xFF1E, lengthEnable(ch3) | (ch3.frequency >> 8)],
+            [0xFF20, (64 - ch4.lengthCounter) & 0x3F],
+            [0xFF21, this.readRegister(0xFF21)],
+            [0xFF22, this.readRegister(0xFF22)],
+            [0xFF23, lengthEnable(ch4)],
+            [0xFF24, this.readRegister(0xFF24)],
+            [0xFF25, this.readRegister(0xFF25)]
+        ]);
+    }
+
     writeRegister(addr, value) {
+        if (this.vgmLogger) this.vgmLogger.write(addr, value);
+
+        // Powered off, only NR52 and wave RAM can be written, plus (on DMG)
+        // the length counters; NR11/NR21/NR41 keep their duty bits cleared
         if (!this.masterEnable && addr !== 0xFF26 && addr < 0xFF30) {
-            return; // Ignore writes when APU is off (except NR52 and wave RAM)
+            if (this.model === 'dmg' && LENGTH_REGISTERS.has(addr)) {
+                this._write(addr, addr === 0xFF1B ? value : value & 0x3F);
+            }
+            return;
         }
 
+        this._write(addr, value);
+    }
+
+    _write(addr, value) {
         switch (addr) {
             // Channel 1 - Sweep
-            case 0xFF10:
+            case 0xFF10: {
+                const wasNegate = this.ch1.sweepNegate;
                 this.ch1.sweepPeriod = (value >> 4) & 0x07;
                 this.ch1.sweepNegate = (value & 0x08) !== 0;
                 this.ch1.sweepShift = value & 0x07;
+                // Leaving negate mode after a negate calculation since the
+                // trigger disables the channel
+                if (wasNegate && !this.ch1.sweepNegate && this.ch1.sweepNegated) {
+                    this.ch1.enabled = false;
+                }
                 break;
+            }
 
             case 0xFF11:
                 this.ch1.duty = (value >> 6) & 0x03;
@@ -518,11 +1040,7 @@ export class APU {
                 break;
 
             case 0xFF12:
-                this.ch1.envInitial = (value >> 4) & 0x0F;
-                this.ch1.envDirection = (value & 0x08) !== 0;
-                this.ch1.envPeriod = value & 0x07;
-                this.ch1.dacEnabled = (value & 0xF8) !== 0;
-                if (!this.ch1.dacEnabled) this.ch1.enabled = false;
+                this._writeEnvelope(this.ch1, value);
                 break;
 
             case 0xFF13:
@@ -531,15 +1049,14 @@ export class APU {
 
             case 0xFF14:
                 this.ch1.frequency = (this.ch1.frequency & 0xFF) | ((value & 0x07) << 8);
-                this.ch1.lengthEnabled = (value & 0x40) !== 0;
+                this._writeLengthEnable(this.ch1, value, 64);
 
                 if (value & 0x80) { // Trigger
                     this.ch1.enabled = this.ch1.dacEnabled;
-                    if (this.ch1.lengthCounter === 0) this.ch1.lengthCounter = 64;
                     this.ch1.timer = (2048 - this.ch1.frequency) * 4;
-                    this.ch1.envVolume = this.ch1.envInitial;
-                    this.ch1.envTimer = this.ch1.envPeriod;
+                    this._triggerEnvelope(this.ch1);
                     this.ch1.sweepShadow = this.ch1.frequency;
+                    this.ch1.sweepNegated = false;
                     this.ch1.sweepTimer = this.ch1.sweepPeriod || 8;
                     this.ch1.sweepEnabled = this.ch1.sweepPeriod > 0 || this.ch1.sweepShift > 0;
                     if (this.ch1.sweepShift > 0) this.calculateSweep();
@@ -553,11 +1070,7 @@ export class APU {
                 break;
 
             case 0xFF17:
-                this.ch2.envInitial = (value >> 4) & 0x0F;
-                this.ch2.envDirection = (value & 0x08) !== 0;
-                this.ch2.envPeriod = value & 0x07;
-                this.ch2.dacEnabled = (value & 0xF8) !== 0;
-                if (!this.ch2.dacEnabled) this.ch2.enabled = false;
+                this._writeEnvelope(this.ch2, value);
                 break;
 
             case 0xFF18:
@@ -566,14 +1079,12 @@ export class APU {
 
             case 0xFF19:
                 this.ch2.frequency = (this.ch2.frequency & 0xFF) | ((value & 0x07) << 8);
-                this.ch2.lengthEnabled = (value & 0x40) !== 0;
+                this._writeLengthEnable(this.ch2, value, 64);
 
                 if (value & 0x80) { // Trigger
                     this.ch2.enabled = this.ch2.dacEnabled;
-                    if (this.ch2.lengthCounter === 0) this.ch2.lengthCounter = 64;
                     this.ch2.timer = (2048 - this.ch2.frequency) * 4;
-                    this.ch2.envVolume = this.ch2.envInitial;
-                    this.ch2.envTimer = this.ch2.envPeriod;
+                    this._triggerEnvelope(this.ch2);
                 }
                 break;
 
@@ -597,13 +1108,17 @@ export class APU {
 
             case 0xFF1E:
                 this.ch3.frequency = (this.ch3.frequency & 0xFF) | ((value & 0x07) << 8);
-                this.ch3.lengthEnabled = (value & 0x40) !== 0;
+                this._writeLengthEnable(this.ch3, value, 256);
 
                 if (value & 0x80) { // Trigger
+                    if (this.model === 'dmg' && this.ch3.enabled) this._corruptWaveRam();
                     this.ch3.enabled = this.ch3.dacEnabled;
-                    if (this.ch3.lengthCounter === 0) this.ch3.lengthCounter = 256;
-                    this.ch3.timer = (2048 - this.ch3.frequency) * 2;
+                    // The first fetch (of position 1) comes 6 cycles later than
+                    // a normal period; sampleCycles since the last clock are added
+                    // back as the next clock covers the whole sample
+                    this.ch3.timer = (2048 - this.ch3.frequency) * 2 + 6 + this.sampleCycles;
                     this.ch3.wavePos = 0;
+                    this.ch3.fetched = false;
                 }
                 break;
 
@@ -613,11 +1128,7 @@ export class APU {
                 break;
 
             case 0xFF21:
-                this.ch4.envInitial = (value >> 4) & 0x0F;
-                this.ch4.envDirection = (value & 0x08) !== 0;
-                this.ch4.envPeriod = value & 0x07;
-                this.ch4.dacEnabled = (value & 0xF8) !== 0;
-                if (!this.ch4.dacEnabled) this.ch4.enabled = false;
+                this._writeEnvelope(this.ch4, value);
                 break;
 
             case 0xFF22:
@@ -627,22 +1138,22 @@ export class APU {
                 break;
 
             case 0xFF23:
-                this.ch4.lengthEnabled = (value & 0x40) !== 0;
+                this._writeLengthEnable(this.ch4, value, 64);
 
                 if (value & 0x80) { // Trigger
                     this.ch4.enabled = this.ch4.dacEnabled;
-                    if (this.ch4.lengthCounter === 0) this.ch4.lengthCounter = 64;
                     const divisor = this.noiseDivisors[this.ch4.divisorCode];
                     this.ch4.timer = divisor << this.ch4.clockShift;
-                    this.ch4.envVolume = this.ch4.envInitial;
-                    this.ch4.envTimer = this.ch4.envPeriod;
+                    this._triggerEnvelope(this.ch4);
                     this.ch4.lfsr = 0x7FFF;
                 }
                 break;
 
             // Master control
             case 0xFF24:
+                this.vinLeft = (value & 0x80) !== 0;
                 this.masterVolLeft = (value >> 4) & 0x07;
+                this.vinRight = (value & 0x08) !== 0;
                 this.masterVolRight = value & 0x07;
                 break;
 
@@ -657,28 +1168,92 @@ export class APU {
                 this.ch1Right = (value & 0x01) !== 0;
                 break;
 
-            case 0xFF26:
+            case 0xFF26: {
+                // Only the power bit is writable; the channel bits are status
                 const wasEnabled = this.masterEnable;
                 this.masterEnable = (value & 0x80) !== 0;
 
                 if (wasEnabled && !this.masterEnable) {
-                    // APU turned off - reset all registers
-                    this.ch1.enabled = false;
-                    this.ch2.enabled = false;
-                    this.ch3.enabled = false;
-                    this.ch4.enabled = false;
+                    this._clearRegisters();
+                    if (this.model === 'cgb') {
+                        for (const ch of [this.ch1, this.ch2, this.ch3, this.ch4]) {
+                            ch.lengthCounter = 0;
+                        }
+                    }
+                } else if (!wasEnabled && this.masterEnable) {
+                    // Powering on restarts the frame sequencer (next step is 0)
+                    // and the square wave duty positions
+                    this.frameSequencerCycles = 0;
+                    this.frameSequencerStep = 0;
+                    this.ch1.dutyPos = 0;
+                    this.ch2.dutyPos = 0;
                 }
                 break;
+            }
 
             // Wave RAM
             default:
                 if (addr >= 0xFF30 && addr <= 0xFF3F) {
-                    this.waveRam[addr - 0xFF30] = value;
+                    const index = this._waveAccessIndex(addr);
+                    if (index >= 0) this.waveRam[index] = value;
                 }
                 break;
         }
     }
 
+    // NRx2. A write while the channel plays ("zombie mode") changes the volume
+    // directly: +1 if the old period was 0 and the envelope was still running,
+    // otherwise +2 in decrease mode; then a change of direction turns it into
+    // 16 - volume. Only 4 bits are kept, so it wraps.
+    _writeEnvelope(ch, value) {
+        const direction = (value & 0x08) !== 0;
+        if (ch.enabled) {
+            if (ch.envPeriod === 0 && ch.envRunning) {
+                ch.envVolume++;
+            } else if (!ch.envDirection) {
+                ch.envVolume += 2;
+            }
+            if (direction !== ch.envDirection) {
+                ch.envVolume = 16 - ch.envVolume;
+            }
+            ch.envVolume &= 0x0F;
+        }
+
+        ch.envInitial = (value >> 4) & 0x0F;
+        ch.envDirection = direction;
+        ch.envPeriod = value & 0x07;
+        ch.dacEnabled = (value & 0xF8) !== 0;
+        if (!ch.dacEnabled) ch.enabled = false;
+    }
+
+    // NRx4 trigger: the envelope restarts, one step later if the frame
+    // sequencer's next step is the envelope clock
+    _triggerEnvelope(ch) {
+        ch.envVolume = ch.envInitial;
+        ch.envTimer = ch.envPeriod + (this.frameSequencerStep === 7 ? 1 : 0);
+        ch.envRunning = true;
+    }
+
+    // NRx4 length enable, before a trigger is handled. In the first half of a
+    // length period (the next frame sequencer step doesn't clock length),
+    // turning length on clocks it once straight away, which stops the channel
+    // if it reaches 0 without a trigger. A trigger reloads an empty counter to
+    // the maximum, or the maximum - 1 when that extra clock applies.
+    _writeLengthEnable(ch, value, maxLength) {
+        const wasEnabled = ch.lengthEnabled;
+        const trigger = (value & 0x80) !== 0;
+        const extraClock = (this.frameSequencerStep & 1) === 1;
+        ch.lengthEnabled = (value & 0x40) !== 0;
+
+        if (extraClock && !wasEnabled && ch.lengthEnabled && ch.lengthCounter > 0) {
+            ch.lengthCounter--;
+            if (ch.lengthCounter === 0 && !trigger) ch.enabled = false;
+        }
+        if (trigger && ch.lengthCounter === 0) {
+            ch.lengthCounter = extraClock && ch.lengthEnabled ? maxLength - 1 : maxLength;
+        }
+    }
+
     // Volume control
     setVolume(volume) {
         if (this.gainNode) {
@@ -690,9 +1265,18 @@ export class APU {
     setEnabled(enabled) {
         this.enabled = enabled;
         if (!enabled) {
-            this.bufferWritePos = 0;
-            this.bufferReadPos = 0;
-            this.sampleBuffer.fill(0);
+            this.clearBuffer();
+        }
+    }
+
+    // Drop any queued samples
+    clearBuffer() {
+        this.bufferWritePos = 0;
+        this.bufferReadPos = 0;
+        this.sampleBuffer.fill(0);
+        if (this.sinkPort) {
+            this.sinkPort.postMessage({ type: 'clear' });
+            this.sinkQueuedFrames = 0;
         }
     }
 }
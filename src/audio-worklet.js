@@ -0,0 +1,129 @@
+// APU AudioWorklet Sink
+// Runs on the audio thread. Samples come from the APU's ring buffer, either
+// read directly when it lives in a SharedArrayBuffer, or posted in blocks over
+// the MessagePort when shared memory isn't available (no cross-origin isolation).
+// Loaded by APU.init() with audioWorklet.addModule(); not imported by the emulator.
+
+class APUSinkProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { sharedBuffer, sharedState, latencyFrames } = options.processorOptions;
+
+        if (sharedBuffer) {
+            // Shared ring: interleaved stereo samples, plus [readPos, writePos]
+            this.buffer = new Float32Array(sharedBuffer);
+            this.state = new Int32Array(sharedState);
+        } else {
+            // Posted blocks, played in order
+            this.blocks = [];
+            this.blockOffset = 0;
+            this.queuedFrames = 0;
+            this.reportCounter = 0;
+        }
+
+        this.maxQueuedFrames = latencyFrames * 2;
+
+        this.starved = false;
+        this.port.onmessage = (e) => this.onMessage(e.data);
+    }
+
+    onMessage(data) {
+        switch (data.type) {
+            case 'samples':
+                this.blocks.push(data.samples);
+                this.queuedFrames += data.samples.length / 2;
+                // Don't let latency build up: drop the oldest audio past twice the target
+                if (this.queuedFrames > this.maxQueuedFrames) {
+                    while (this.blocks.length && this.queuedFrames > this.maxQueuedFrames / 2) {
+                        this.queuedFrames -= (this.blocks.shift().length - this.blockOffset) / 2;
+                        this.blockOffset = 0;
+                    }
+                    this.port.postMessage({ type: 'overrun' });
+                }
+                break;
+            case 'latency':
+                this.maxQueuedFrames = data.frames * 2;
+                break;
+            case 'clear':
+                if (this.blocks) {
+                    this.blocks = [];
+                    this.blockOffset = 0;
+                    this.queuedFrames = 0;
+                }
+                break;
+        }
+    }
+
+    readShared(left, right) {
+        const buffer = this.buffer;
+        const bufLen = buffer.length;
+        const writePos = Atomics.load(this.state, 1);
+        let readPos = Atomics.load(this.state, 0);
+        let starved = false;
+
+        // Same limit as posted blocks: past twice the target, skip ahead to the target
+        const queuedFrames = ((writePos - readPos + bufLen) % bufLen) / 2;
+        if (queuedFrames > this.maxQueuedFrames) {
+            readPos = (writePos - this.maxQueuedFrames + bufLen) % bufLen;
+            this.port.postMessage({ type: 'overrun' });
+        }
+
+        for (let i = 0; i < left.length; i++) {
+            if (readPos !== writePos) {
+                left[i] = buffer[readPos];
+                right[i] = buffer[readPos + 1];
+                readPos = (readPos + 2) % bufLen;
+            } else {
+                left[i] = 0;
+                right[i] = 0;
+                starved = true;
+            }
+        }
+
+        Atomics.store(this.state, 0, readPos);
+        return starved;
+    }
+
+    readBlocks(left, right) {
+        let starved = false;
+
+        for (let i = 0; i < left.length; i++) {
+            const block = this.blocks[0];
+            if (block) {
+                left[i] = block[this.blockOffset];
+                right[i] = block[this.blockOffset + 1];
+                this.blockOffset += 2;
+                this.queuedFrames--;
+                if (this.blockOffset >= block.length) {
+                    this.blocks.shift();
+                    this.blockOffset = 0;
+                }
+            } else {
+                left[i] = 0;
+                right[i] = 0;
+                starved = true;
+            }
+        }
+
+        // Report the queue level every few quanta, for pacing and rate control
+        if (++this.reportCounter >= 8) {
+            this.reportCounter = 0;
+            this.port.postMessage({ type: 'fill', frames: this.queuedFrames });
+        }
+        return starved;
+    }
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+        const starved = this.buffer ? this.readShared(left, right) : this.readBlocks(left, right);
+
+        // Count each time playback runs dry, not every silent quantum after
+        if (starved && !this.starved) {
+            this.port.postMessage({ type: 'underrun' });
+        }
+        this.starved = starved;
+        return true;
+    }
+}
+
+registerProcessor('apu-sink', APUSinkProcessor);
@@ -0,0 +1,62 @@
+// Band-limited Step Synthesis (blip buffer)
+// Instead of point-sampling a channel's level once per output sample, each
+// change in level is added as a band-limited step at its exact sub-sample
+// time. Steps are stored as windowed-sinc impulses and integrated as samples
+// are read out, which removes the aliasing of fast square waves and noise.
+// Output is delayed by half the kernel width (8 samples).
+
+const PHASES = 32;        // Sub-sample time resolution
+const WIDTH = 16;         // Kernel taps
+const CUTOFF = 0.45;      // Fraction of the sample rate, just under Nyquist
+const RING_SIZE = 32;     // Power of two, at least WIDTH + 1
+const RING_MASK = RING_SIZE - 1;
+
+// impulses[phase * WIDTH + tap]: a sinc impulse centred between taps 7 and 8,
+// shifted later by phase / PHASES of a sample, Blackman windowed, summing to 1
+const impulses = new Float32Array(PHASES * WIDTH);
+for (let phase = 0; phase < PHASES; phase++) {
+    let sum = 0;
+    for (let tap = 0; tap < WIDTH; tap++) {
+        const x = tap - (WIDTH / 2 - 1) - phase / PHASES - 0.5;
+        const sinc = x === 0 ? 1 : Math.sin(2 * Math.PI * CUTOFF * x) / (2 * Math.PI * CUTOFF * x);
+        const w = (tap + 0.5 - phase / PHASES) / WIDTH;
+        const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+        impulses[phase * WIDTH + tap] = sinc * window;
+        sum += sinc * window;
+    }
+    for (let tap = 0; tap < WIDTH; tap++) {
+        impulses[phase * WIDTH + tap] /= sum;
+    }
+}
+
+export class BlipBuffer {
+    constructor() {
+        this.ring = new Float32Array(RING_SIZE);
+        this.head = 0;
+        this.level = 0;
+    }
+
+    clear() {
+        this.ring.fill(0);
+        this.head = 0;
+        this.level = 0;
+    }
+
+    // Add a step of `delta` at `time` samples from the start of the current sample (0-1)
+    addDelta(time, delta) {
+        const position = Math.min(Math.floor(time * PHASES), PHASES * 2 - 1);
+        const start = this.head + Math.floor(position / PHASES);
+        const kernel = (position % PHASES) * WIDTH;
+        for (let tap = 0; tap < WIDTH; tap++) {
+            this.ring[(start + tap) & RING_MASK] += delta * impulses[kernel + tap];
+        }
+    }
+
+    // Finish the current sample and return it
+    readSample() {
+        this.level += this.ring[this.head];
+        this.ring[this.head] = 0;
+        this.head = (this.head + 1) & RING_MASK;
+        return this.level;
+    }
+}
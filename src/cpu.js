@@ -4,10 +4,17 @@ import { opcodes, cbOpcodes } from './opcodes.js';
 export class CPU {
     constructor(mmu) {
         this.mmu = mmu;
+
+        // Components clocked on every bus access (set by emulator)
+        this.timer = null;
+        this.ppu = null;
+        this.apu = null;
+
         this.reset();
     }
 
-    reset() {
+    // bootROM: start from power-on state at 0x0000 instead of post-boot state
+    reset(bootROM = false) {
         // 8-bit registers
         this.a = 0x01;
         this.b = 0x00;
@@ -33,8 +40,22 @@ export class CPU {
         this.imeScheduled = false;
         this.stopped = false;
 
+        // Power-on state - the boot ROM initializes everything itself
+        if (bootROM) {
+            this.a = this.b = this.c = this.d = this.e = this.h = this.l = 0;
+            this.f = 0;
+            this.sp = 0x0000;
+            this.pc = 0x0000;
+        }
+
         // Cycle counter
         this.cycles = 0;
+
+        // Cycles already ticked during the current step
+        this.stepCycles = 0;
+
+        // Set when the PPU finished a frame during the current step
+        this.frameComplete = false;
     }
 
     // F register accessors
@@ -79,9 +100,36 @@ export class CPU {
         this.l = value & 0xFF;
     }
 
+    // Advance the rest of the system by the given number of cycles
+    tick(cycles) {
+        this.stepCycles += cycles;
+        if (this.timer) this.timer.step(cycles);
+        if (this.ppu && this.ppu.step(cycles)) this.frameComplete = true;
+        if (this.apu) this.apu.step(cycles);
+        if (this.mmu.hasRTC) this.mmu.stepRTC(cycles);
+    }
+
+    // Bus read - takes one M-cycle (4 clock cycles)
+    read(addr) {
+        this.tick(4);
+        return this.mmu.read(addr);
+    }
+
+    // Bus write - takes one M-cycle (4 clock cycles)
+    write(addr, value) {
+        this.tick(4);
+        this.mmu.write(addr, value);
+    }
+
+    // 16-bit bus write (little endian), two M-cycles
+    write16(addr, value) {
+        this.write(addr, value & 0xFF);
+        this.write(addr + 1, (value >> 8) & 0xFF);
+    }
+
     // Fetch byte at PC and increment PC
     fetchByte() {
-        const value = this.mmu.read(this.pc);
+        const value = this.read(this.pc);
         this.pc = (this.pc + 1) & 0xFFFF;
         return value;
     }
@@ -93,25 +141,32 @@ export class CPU {
         return (high << 8) | low;
     }
 
-    // Push 16-bit value onto stack
+    // Push 16-bit value onto stack. Every push (PUSH, CALL, RST, interrupt
+    // dispatch) spends an internal M-cycle decrementing SP before the writes.
     push(value) {
+        this.tick(4);
         this.sp = (this.sp - 1) & 0xFFFF;
-        this.mmu.write(this.sp, (value >> 8) & 0xFF);
+        this.write(this.sp, (value >> 8) & 0xFF);
         this.sp = (this.sp - 1) & 0xFFFF;
-        this.mmu.write(this.sp, value & 0xFF);
+        this.write(this.sp, value & 0xFF);
     }
 
     // Pop 16-bit value from stack
     pop() {
-        const low = this.mmu.read(this.sp);
+        const low = this.read(this.sp);
         this.sp = (this.sp + 1) & 0xFFFF;
-        const high = this.mmu.read(this.sp);
+        const high = this.read(this.sp);
         this.sp = (this.sp + 1) & 0xFFFF;
         return (high << 8) | low;
     }
 
     // Execute one instruction
+    // Memory accesses tick the timer, PPU and APU as they happen; any
+    // remaining internal cycles are ticked once the instruction completes.
     step() {
+        this.stepCycles = 0;
+        this.frameComplete = false;
+
         // Handle scheduled IME enable
         if (this.imeScheduled) {
             this.ime = true;
@@ -121,12 +176,12 @@ export class CPU {
         // Handle interrupts
         const interruptCycles = this.handleInterrupts();
         if (interruptCycles > 0) {
-            return interruptCycles;
+            return this.finishStep(interruptCycles);
         }
 
         // If halted, return 4 cycles (NOP equivalent)
         if (this.halted) {
-            return 4;
+            return this.finishStep(4);
         }
 
         // Fetch and execute opcode
@@ -141,8 +196,16 @@ export class CPU {
             cycles = this.execute(opcode);
         }
 
-        this.cycles += cycles;
-        return cycles;
+        return this.finishStep(cycles);
+    }
+
+    // Tick internal (non-bus) cycles left over from the step
+    finishStep(cycles) {
+        if (cycles > this.stepCycles) {
+            this.tick(cycles - this.stepCycles);
+        }
+        this.cycles += this.stepCycles;
+        return this.stepCycles;
     }
 
     // Execute regular opcode
@@ -181,7 +244,8 @@ export class CPU {
         // Disable interrupts
         this.ime = false;
 
-        // Push PC onto stack
+        // Two wait M-cycles (the second is push's), push PC, then jump
+        this.tick(4);
         this.push(this.pc);
 
         // Handle interrupt in priority order
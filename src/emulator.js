@@ -5,6 +5,17 @@ import { PPU } from './ppu.js';
 import { Timer } from './timer.js';
 import { Input } from './input.js';
 import { APU } from './apu.js';
+import { parseHeader, readHeaderString } from './header.js';
+import { crc32 } from './crc32.js';
+import {
+    STATE_VERSION, migrateState, encodeState, decodeState,
+    stateToJSON, parseStateJSON, bytesToBase64, base64ToBytes
+} from './savestate.js';
+import { RewindBuffer } from './rewind.js';
+import { WavRecorder } from './recorder.js';
+import { VgmLogger } from './vgm.js';
+import { AudioVisualizer } from './visualizer.js';
+import { parseGBS, buildGBSROM, INIT_ENTRY } from './gbs.js';
 import { palettes, getAllPalettes, getPalettesByCategory } from './palettes.js';
 
 export class Emulator {
@@ -25,9 +36,24 @@ export class Emulator {
         this.mmu.input = this.input;
         this.mmu.apu = this.apu;
 
+        // CPU clocks the timer, PPU and APU on each memory access
+        this.cpu.timer = this.timer;
+        this.cpu.ppu = this.ppu;
+        this.cpu.apu = this.apu;
+
         // Emulator state
         this.running = false;
         this.romLoaded = false;
+        this.header = null;
+        this.romHash = null;     // CRC32 of the ROM (hex), identifies saves
+
+        // GBS player: the loaded rip (see gbs.js) and the track playing (1-based)
+        this.gbs = null;
+        this.gbsTrack = 0;
+
+        // Save slots: 1-10 are numbered (F1-F10), any other slot is named
+        this.saveSlotCount = 10;
+        this.undoState = null;   // State from before the last load(), for undoLoad()
 
         // Timing
         this.fps = 0;
@@ -36,39 +62,87 @@ export class Emulator {
         this.lastFrameTime = 0;
         this.targetFrameTime = 1000 / 59.7; // ~16.75ms per frame
 
+        // 'video' paces frames by display refresh time, 'audio' by the sound
+        // buffer's fill level (falls back to video when audio isn't playing)
+        this.timingMode = 'video';
+
         // Cycles per frame (4194304 Hz / 59.7 FPS = ~70224 cycles)
         this.cyclesPerFrame = 70224;
 
+        // Speed control
+        this.speed = 1;              // Multiplier, Infinity runs as fast as possible
+        this.frameSkip = true;       // Draw only once per animation frame when running several
+        this.frameDebt = 0;          // Emulated frames owed to real time
+        this.maxFramesPerTick = 16;  // Don't try to catch up further than this
+
+        // Battery RAM is flushed once writes have settled for this long
+        this.batteryFlushDelay = 1000;
+        this.batteryDirtyTime = 0;
+        this.batteryError = null;    // Message of the last failed flush, until one succeeds
+
+        // Rewind: a snapshot every rewindInterval frames, kept in a bounded history
+        this.rewindBuffer = new RewindBuffer();
+        this.rewindEnabled = false;    // Off until enabled or first used: snapshots cost ~1 ms a frame
+        this.rewindInterval = 2;   // Frames between snapshots
+        this.rewindSpeed = 1;      // Playback speed while rewinding (1 = real time)
+        this.rewinding = false;
+        this.rewindFrames = 0;     // Frames since the last snapshot
+        this.rewindProgress = 0;   // Frames rewound toward the next snapshot
+
         // Palette state
         this.allPalettes = getAllPalettes();
         this.currentPaletteIndex = 0;
         this.currentPalette = this.allPalettes[0];
     }
 
-    loadROM(data) {
+    // bootROM: optional 256-byte DMG boot ROM to run before the cartridge
+    // Returns the parsed cartridge header
+    loadROM(data, bootROM = null) {
+        // Don't lose pending in-game saves of the previous cartridge
+        if (this.romLoaded) this.saveBattery();
+
+        this.mmu.loadBootROM(bootROM);
         this.mmu.loadROM(data);
+        this.header = this.mmu.header;
+        this.gbs = null;
+        for (const warning of this.header.warnings) {
+            console.warn(`ROM header: ${warning}`);
+        }
+
+        this.romHash = crc32(data).toString(16).padStart(8, '0');
+        this.undoState = null;
+        this.rewindBuffer.clear();
+        this.rewinding = false;
+
+        // Older saves were keyed by title, then had a single state per ROM hash
+        const legacyTitle = this._getLegacySaveTitle();
+        this._migrateSave(`gb_sram_${legacyTitle}`, this._getBatteryKey());
+        this._migrateSave(`gb_save_${legacyTitle}`, this._getSlotKey(1));
+        this._migrateSave(`gb_save_${this.romHash}`, this._getSlotKey(1));
+        this._migrateNamedSaves();
+
         this.romLoaded = true;
         this.reset();
-
+        this.loadBattery();
+        return this.header;
     }
 
     getROMTitle(data) {
-        let title = '';
-        for (let i = 0x134; i < 0x144; i++) {
-            const char = data[i];
-            if (char === 0) break;
-            title += String.fromCharCode(char);
-        }
-        return title || 'Unknown';
+        return parseHeader(data).title || 'Unknown';
     }
 
     reset() {
-        this.cpu.reset();
-        this.ppu.reset();
+        // Run the boot ROM if one was supplied, otherwise start post-boot
+        const bootROM = this.mmu.bootROM !== null;
+
+        this.cpu.reset(bootROM);
+        this.ppu.reset(bootROM);
         this.timer.reset();
         this.input.reset();
-        this.apu.reset();
-        this.mmu.initIO();
+        this.apu.reset(bootROM);
+        this.mmu.initIO(bootROM);
+        if (this.gbs) this._startTrack();
+        this._logAPUState();
 
         // Reset timing
         this.frameCount = 0;
@@ -87,6 +161,7 @@ export class Emulator {
         this.running = true;
         this.lastFpsTime = performance.now();
         this.lastFrameTime = 0;
+        this.frameDebt = 0;
         this.frameCount = 0;
 
         // Initialize audio (requires user interaction first)
@@ -97,6 +172,7 @@ export class Emulator {
 
     pause() {
         this.running = false;
+        this.saveBattery();
     }
 
     frame(timestamp) {
@@ -107,37 +183,57 @@ export class Emulator {
             this.lastFrameTime = timestamp;
         }
 
-        // Cap at 60fps - skip frame if not enough time has passed
-        const elapsed = timestamp - this.lastFrameTime;
-        if (elapsed < this.targetFrameTime * 0.9) { // 0.9 gives some slack for timing jitter
-            requestAnimationFrame((ts) => this.frame(ts));
-            return;
-        }
+        // Real time since the last tick, in emulated frames (capped so a
+        // hidden tab doesn't come back to a burst of catch-up frames)
+        const elapsed = Math.min(timestamp - this.lastFrameTime, 250) / this.targetFrameTime;
         this.lastFrameTime = timestamp;
 
         try {
-            // Execute one frame worth of cycles
-            let cycles = 0;
-            while (cycles < this.cyclesPerFrame) {
-                const stepCycles = this.cpu.step();
-                cycles += stepCycles;
-
-                // Update timer
-                this.timer.step(stepCycles);
-
-                // Update PPU
-                this.ppu.step(stepCycles);
+            let frames = 0;
+            if (this.rewinding) {
+                this._rewindFrame(elapsed);
+            } else if (this._isAudioPaced()) {
+                // Top the sound buffer up to its target; the rate control keeps
+                // this at about one frame per 60Hz tick
+                this.frameDebt = 0;
+                while (frames < this.maxFramesPerTick &&
+                       this.apu.getBufferedFrames() < this.apu.targetBufferFrames) {
+                    this._runFrame();
+                    frames++;
+                }
+            } else if (this.speed === Infinity) {
+                // Uncapped: run frames for most of the tick, leaving time to draw
+                this.ppu.skipRender = this.frameSkip;
+                const deadline = performance.now() + this.targetFrameTime * 0.75;
+                do {
+                    this._runFrame();
+                    frames++;
+                } while (performance.now() < deadline);
+            } else {
+                // Run the frames owed at the current speed (0.1 gives some slack for timing jitter)
+                this.frameDebt += elapsed * this.speed;
+                frames = Math.min(Math.floor(this.frameDebt + 0.1), this.maxFramesPerTick);
+                this.frameDebt = Math.min(this.frameDebt - frames, 1);
+
+                this.ppu.skipRender = this.frameSkip && frames > 1;
+                for (let i = 0; i < frames; i++) {
+                    this._runFrame();
+                }
+            }
 
-                // Update APU
-                this.apu.step(stepCycles);
+            // Frames run with rendering skipped: draw the latest picture once
+            if (this.ppu.skipRender) {
+                this.ppu.skipRender = false;
+                this.ppu.renderFrame();
             }
 
-            // Update FPS counter
-            this.frameCount++;
+            // Update FPS counter (emulated frames per second, so it reflects speed)
+            this.frameCount += frames;
             const now = performance.now();
-            const elapsed = now - this.lastFpsTime;
-            if (elapsed >= 1000) {
-                this.fps = (this.frameCount * 1000) / elapsed;
+            this._updateBatterySave(now);
+            const fpsElapsed = now - this.lastFpsTime;
+            if (fpsElapsed >= 1000) {
+                this.fps = (this.frameCount * 1000) / fpsElapsed;
                 this.frameCount = 0;
                 this.lastFpsTime = now;
             }
@@ -150,13 +246,78 @@ export class Emulator {
         }
     }
 
+    // Audio pacing needs sound actually playing at 1x, or the buffer never drains
+    _isAudioPaced() {
+        const apu = this.apu;
+        return this.timingMode === 'audio' && this.speed === 1 &&
+            apu.initialized && apu.enabled && apu.audioContext.state === 'running';
+    }
+
+    // Execute one frame worth of cycles
+    // (timer, PPU and APU are ticked by the CPU per M-cycle)
+    _runFrame() {
+        // Away from 1x, sound is muted
+        this.apu.skipOutput = this.speed !== 1;
+
+        // At 1x, resample very slightly to hold the sound buffer level
+        if (this.speed === 1) {
+            this.apu.adjustRate();
+        } else {
+            this.apu.resetRate();
+        }
+
+        let cycles = 0;
+        while (cycles < this.cyclesPerFrame) {
+            cycles += this.cpu.step();
+        }
+        this._captureRewind();
+    }
+
+    // 'video' or 'audio'
+    setTimingMode(mode) {
+        if (mode !== 'video' && mode !== 'audio') {
+            throw new Error(`Unknown timing mode "${mode}"`);
+        }
+        this.timingMode = mode;
+        this.frameDebt = 0;
+    }
+
+    // Sound buffer health, for the status display
+    getAudioStatus() {
+        return {
+            paced: this._isAudioPaced() ? 'audio' : 'video',
+            sink: this.apu.sink,
+            latency: this.apu.latency * 1000,
+            bufferedFrames: this.apu.getBufferedFrames(),
+            targetFrames: this.apu.targetBufferFrames,
+            rate: this.apu.baseCyclesPerSample / this.apu.cyclesPerSample,
+            underruns: this.apu.underruns,
+            overruns: this.apu.overruns
+        };
+    }
+
+    // Speed multiplier: 0.25 to 8, or Infinity for uncapped
+    setSpeed(speed) {
+        if (speed !== Infinity && !(speed >= 0.25 && speed <= 8)) {
+            throw new Error('Speed must be between 0.25x and 8x, or Infinity');
+        }
+        this.speed = speed;
+        this.frameDebt = 0;
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+
+    setFrameSkip(enabled) {
+        this.frameSkip = enabled;
+    }
+
     // Debug: Step single instruction
     step() {
         if (!this.romLoaded) return;
 
         const cycles = this.cpu.step();
-        this.timer.step(cycles);
-        this.ppu.step(cycles);
 
         return {
             pc: this.cpu.pc,
@@ -170,6 +331,40 @@ export class Emulator {
         };
     }
 
+    // Debug: Run until the next V-Blank, i.e. exactly one frame
+    // Stops after two frames' worth of cycles if the LCD is off (there is no V-Blank)
+    frameAdvance() {
+        if (!this.romLoaded) return;
+
+        let cycles = 0;
+        do {
+            cycles += this.cpu.step();
+        } while (!this.cpu.frameComplete && cycles < this.cyclesPerFrame * 2);
+        this._captureRewind();
+
+        return { cycles, vblank: this.cpu.frameComplete, ly: this.ppu.ly };
+    }
+
+    // Debug: Run until the PPU starts scanline `line` (0-153), then show the frame
+    // drawn so far. Starting on that line runs to the same line of the next frame.
+    runToScanline(line) {
+        if (!this.romLoaded) return;
+        if (!Number.isInteger(line) || line < 0 || line > 153) {
+            throw new Error('Scanline must be between 0 and 153');
+        }
+
+        let cycles = 0;
+        let reached = false;
+        while (!reached && cycles < this.cyclesPerFrame * 2) {
+            const ly = this.ppu.ly;
+            cycles += this.cpu.step();
+            reached = this.ppu.ly === line && ly !== line;
+        }
+        this.ppu.renderFrame();
+
+        return { cycles, reached, ly: this.ppu.ly };
+    }
+
     // Audio control
     setVolume(volume) {
         this.apu.setVolume(volume);
@@ -179,6 +374,48 @@ export class Emulator {
         this.apu.setEnabled(enabled);
     }
 
+    // Per-channel listening controls (channel 1-4: pulse 1, pulse 2, wave, noise)
+    setChannelMute(channel, muted) {
+        this.apu.setChannelMute(channel, muted);
+    }
+
+    setChannelSolo(channel, solo) {
+        this.apu.setChannelSolo(channel, solo);
+    }
+
+    setChannelGain(channel, gain) {
+        this.apu.setChannelGain(channel, gain);
+    }
+
+    getChannelControls() {
+        return [1, 2, 3, 4].map((channel) => ({
+            channel,
+            muted: this.apu.channelMute[channel - 1],
+            solo: this.apu.channelSolo[channel - 1],
+            gain: this.apu.channelGain[channel - 1]
+        }));
+    }
+
+    // 'bandlimited' (clean) or 'point' (cheaper, for slow machines)
+    setAudioSynthesis(mode) {
+        this.apu.setSynthesis(mode);
+    }
+
+    // Output high-pass filter: 'dmg', 'cgb' or 'none'
+    setAudioHighPass(mode) {
+        this.apu.setHighPass(mode);
+    }
+
+    // Sound hardware quirks to follow: 'dmg' or 'cgb'
+    setAudioModel(model) {
+        this.apu.setModel(model);
+    }
+
+    // Output latency target in ms (AudioWorklet output only)
+    setAudioLatency(ms) {
+        this.apu.setLatency(ms);
+    }
+
     // Palette control
     setPalette(paletteKey) {
         const palette = this.allPalettes.find(p => p.key === paletteKey);
@@ -219,74 +456,324 @@ export class Emulator {
             l: this.cpu.l.toString(16).padStart(2, '0'),
             ime: this.cpu.ime,
             halted: this.cpu.halted,
-            ly: this.ppu.ly
+            ly: this.ppu.ly,
+            audioUnderruns: this.apu.underruns,
+            audioOverruns: this.apu.overruns
         };
     }
 
-    // === SAVE STATE ===
+    // === AUDIO RECORDING ===
 
-    // RLE compress a Uint8Array - returns array of bytes
-    _compressRLE(data) {
-        const result = [];
-        let i = 0;
-        while (i < data.length) {
-            const value = data[i];
-            let count = 1;
-            while (i + count < data.length && data[i + count] === value && count < 255) {
-                count++;
-            }
-            if (count > 2 || value === 255) {
-                // RLE: [255, count, value]
-                result.push(255, count, value);
-            } else {
-                for (let j = 0; j < count; j++) {
-                    result.push(value);
-                }
-            }
-            i += count;
+    // Record the sound output from now on; with stems, each channel is also
+    // recorded on its own track. Works without an AudioContext.
+    startRecording(stems = false) {
+        this.apu.recorder = new WavRecorder(this.apu.sampleRate, stems);
+    }
+
+    // Stop recording and return the WavRecorder (toWav() gives the file)
+    stopRecording() {
+        const recorder = this.apu.recorder;
+        if (!recorder) {
+            throw new Error('Not recording');
         }
-        return result;
+        this.apu.recorder = null;
+        return recorder;
     }
 
-    // RLE decompress
-    _decompressRLE(compressed, expectedLength) {
-        const result = new Uint8Array(expectedLength);
-        let srcIdx = 0, dstIdx = 0;
-        while (srcIdx < compressed.length && dstIdx < expectedLength) {
-            if (compressed[srcIdx] === 255) {
-                const count = compressed[srcIdx + 1];
-                const value = compressed[srcIdx + 2];
-                for (let j = 0; j < count && dstIdx < expectedLength; j++) {
-                    result[dstIdx++] = value;
-                }
-                srcIdx += 3;
-            } else {
-                result[dstIdx++] = compressed[srcIdx++];
-            }
+    isRecording() {
+        return this.apu.recorder !== null;
+    }
+
+    getRecordingSeconds() {
+        return this.apu.recorder ? this.apu.recorder.duration : 0;
+    }
+
+    // === AUDIO VISUALIZER ===
+
+    // Capture channel levels and the mix for an AudioVisualizer and return it;
+    // the page calls its draw() once per display refresh
+    startVisualizer() {
+        if (!this.apu.visualizer) {
+            this.apu.visualizer = new AudioVisualizer(this.apu.sampleRate);
+        }
+        return this.apu.visualizer;
+    }
+
+    stopVisualizer() {
+        this.apu.visualizer = null;
+    }
+
+    // === GBS PLAYER ===
+
+    // Load a .gbs music rip and play its first track. The rip runs in a
+    // synthetic ROM, so everything else (speed, states, recording) still works.
+    loadGBS(data) {
+        const gbs = parseGBS(data);
+        this.loadROM(buildGBSROM(gbs));
+        this.gbs = gbs;
+        this.playTrack(gbs.firstTrack);
+        return gbs;
+    }
+
+    // Restart the machine and play track 1..trackCount
+    playTrack(track) {
+        if (!this.gbs) {
+            throw new Error('No GBS file loaded');
+        }
+        if (!Number.isInteger(track) || track < 1 || track > this.gbs.trackCount) {
+            throw new Error(`Track must be 1-${this.gbs.trackCount}`);
+        }
+        this.gbsTrack = track;
+        this.reset();
+    }
+
+    // Step through the tracks, wrapping around at either end
+    nextTrack(direction = 1) {
+        const count = this.gbs ? this.gbs.trackCount : 1;
+        this.playTrack((this.gbsTrack - 1 + direction + count) % count + 1);
+    }
+
+    // Enter the driver's INIT with the track number, as its cartridge entry would
+    _startTrack() {
+        this.cpu.a = this.gbsTrack - 1;
+        this.cpu.sp = this.gbs.stackPointer;
+        this.cpu.pc = INIT_ENTRY;
+    }
+
+    // === VGM LOGGING ===
+
+    // Log sound register writes from now on. GD3 tags default to what the
+    // cartridge header tells us; pass { track, author, ... } to add to them.
+    startVgmLog(tags = {}) {
+        if (!this.romLoaded) {
+            throw new Error('No ROM loaded');
+        }
+        const header = this.header;
+        const publisher = header.licensee && header.licensee !== 'None' ? `Publisher: ${header.licensee}. ` : '';
+        this.apu.vgmLogger = new VgmLogger({
+            game: header.title,
+            system: header.cgbSupport === 'only' ? 'Nintendo Game Boy Color' : 'Nintendo Game Boy',
+            notes: `${publisher}ROM CRC32: ${this.romHash}`,
+            ...tags
+        });
+        this._logAPUState();
+    }
+
+    // Loop playback back to this point
+    markVgmLoop() {
+        if (!this.apu.vgmLogger) {
+            throw new Error('Not logging VGM');
+        }
+        this.apu.vgmLogger.markLoop();
+    }
+
+    // Stop logging and return the .vgm file
+    stopVgmLog() {
+        const logger = this.apu.vgmLogger;
+        if (!logger) {
+            throw new Error('Not logging VGM');
+        }
+        this.apu.vgmLogger = null;
+        return logger.toVgm();
+    }
+
+    isVgmLogging() {
+        return this.apu.vgmLogger !== null;
+    }
+
+    getVgmSeconds() {
+        return this.apu.vgmLogger ? this.apu.vgmLogger.duration : 0;
+    }
+
+    // After a reset or state load the register writes alone no longer describe
+    // the sound chip, so log its whole state
+    _logAPUState() {
+        if (this.apu.vgmLogger) {
+            this.apu.vgmLogger.writeState(this.apu);
+        }
+    }
+
+    // === REWIND ===
+
+    setRewindEnabled(enabled) {
+        this.rewindEnabled = enabled;
+        if (!enabled) {
+            this.rewinding = false;
+            this.rewindBuffer.clear();
+        }
+    }
+
+    // Memory budget for rewind history, in bytes
+    setRewindBudget(bytes) {
+        this.rewindBuffer.setBudget(bytes);
+    }
+
+    setRewindSpeed(speed) {
+        this.rewindSpeed = speed;
+    }
+
+    // Start or stop playing backwards (e.g. while a key is held)
+    // Asking to rewind turns the history on, so the next press has something to play.
+    setRewinding(active) {
+        if (active && !this.rewindEnabled) this.setRewindEnabled(true);
+        active = active && this.romLoaded;
+        if (active === this.rewinding) return;
+        this.rewinding = active;
+        this.rewindProgress = 0;
+        // Audio is muted while rewinding: drop what's queued, the APU isn't run
+        if (active) this.apu.clearBuffer();
+    }
+
+    // Seconds of gameplay that can currently be rewound
+    getRewindSeconds() {
+        return this.rewindBuffer.length * this.rewindInterval / 59.7;
+    }
+
+    _captureRewind() {
+        if (!this.rewindEnabled || ++this.rewindFrames < this.rewindInterval) return;
+        this.rewindFrames = 0;
+        this.rewindBuffer.push(this.saveState());
+    }
+
+    // Step back through the history at rewindSpeed, showing the frame after each snapshot
+    // elapsed: real time since the last call, in frames
+    _rewindFrame(elapsed = 1) {
+        this.rewindProgress += this.rewindSpeed * elapsed;
+        let state = null;
+        while (this.rewindProgress >= this.rewindInterval && this.rewindBuffer.length > 0) {
+            this.rewindProgress -= this.rewindInterval;
+            state = this.rewindBuffer.pop();
         }
-        return result;
+        if (this.rewindBuffer.length === 0) this.rewindProgress = 0;
+        if (!state) return;
+
+        this.loadState(state);
+        this._renderRewindFrame();
     }
 
-    // Check if array is all zeros
-    _isAllZeros(data) {
-        for (let i = 0; i < data.length; i++) {
-            if (data[i] !== 0) return false;
+    // Snapshots carry no picture (capturing one doubled their cost), so run one
+    // silent frame from the snapshot to draw the screen
+    _renderRewindFrame() {
+        this.apu.skipOutput = true;
+        let cycles = 0;
+        do {
+            cycles += this.cpu.step();
+        } while (!this.cpu.frameComplete && cycles < this.cyclesPerFrame * 2);
+    }
+
+    // === BATTERY SAVE ===
+
+    _getBatteryKey() {
+        return `gb_sram_${this.romHash}`;
+    }
+
+    // Flush battery RAM once the game has stopped writing to it for a while
+    _updateBatterySave(now) {
+        if (this.mmu.ramDirty) {
+            this.mmu.ramDirty = false;
+            this.batteryDirtyTime = now;
+        } else if (this.batteryDirtyTime && now - this.batteryDirtyTime >= this.batteryFlushDelay) {
+            this.saveBattery();
         }
+    }
+
+    // Write battery RAM (and RTC) to localStorage
+    saveBattery() {
+        this.batteryDirtyTime = 0;
+        if (!this.romLoaded || !this.mmu.hasBattery || typeof localStorage === 'undefined') {
+            return false;
+        }
+        try {
+            localStorage.setItem(this._getBatteryKey(), bytesToBase64(this.mmu.exportSave()));
+        } catch (err) {
+            // Usually QuotaExceededError. Don't stop the frame loop over it: keep
+            // the RAM dirty so the write is retried after the next flush delay.
+            if (!this.batteryError) console.warn('Battery save failed:', err.message);
+            this.batteryError = err.message;
+            this.mmu.ramDirty = true;
+            return false;
+        }
+        this.batteryError = null;
+        this.mmu.ramDirty = false;
+        return true;
+    }
+
+    // Restore battery RAM (and RTC) from localStorage
+    loadBattery() {
+        if (!this.mmu.hasBattery || typeof localStorage === 'undefined') {
+            return false;
+        }
+        const b64 = localStorage.getItem(this._getBatteryKey());
+        if (!b64) return false;
+        this.mmu.importSave(base64ToBytes(b64));
         return true;
     }
 
-    // Get ROM title for save key
+    // Raw .sav file contents, compatible with other emulators and flash carts
+    exportSave() {
+        if (!this.romLoaded) {
+            throw new Error('No ROM loaded');
+        }
+        if (!this.mmu.hasBattery) {
+            throw new Error('Cartridge has no battery-backed RAM');
+        }
+        return this.mmu.exportSave();
+    }
+
+    // Replace battery RAM with a raw .sav file and persist it
+    importSave(data) {
+        if (!this.romLoaded) {
+            throw new Error('No ROM loaded');
+        }
+        if (!this.mmu.hasBattery) {
+            throw new Error('Cartridge has no battery-backed RAM');
+        }
+        this.mmu.importSave(data);
+        this.saveBattery();
+    }
+
+    // === SAVE STATE ===
+
+    // Title of the loaded ROM, from the parsed header (as getROMTitle)
     _getROMTitle() {
-        if (!this.mmu.rom) return 'unknown';
-        let title = '';
-        for (let i = 0x134; i < 0x144; i++) {
-            const char = this.mmu.rom[i];
-            if (char === 0) break;
-            if (char >= 32 && char < 127) {
-                title += String.fromCharCode(char);
-            }
+        return (this.header && this.header.title) || 'Unknown';
+    }
+
+    // Title that keyed saves from before they were keyed by ROM hash: the
+    // whole 16-byte title area, CGB manufacturer code included. Only used to
+    // find those saves in _migrateSave and to match the title they carry.
+    _getLegacySaveTitle() {
+        return readHeaderString(this.mmu.rom, 0x134, 0x144) || 'unknown';
+    }
+
+    // Move a save stored under a legacy key to its current key, unless that is
+    // already taken. For title keys, the first ROM loaded with that title claims it.
+    _migrateSave(legacyKey, key) {
+        if (typeof localStorage === 'undefined') return;
+        if (localStorage.getItem(key) !== null) return;
+
+        const data = localStorage.getItem(legacyKey);
+        if (data === null) return;
+
+        localStorage.setItem(key, data);
+        localStorage.removeItem(legacyKey);
+    }
+
+    // Named slots used to share the numbered slots' key space (gb_save_<hash>_<name>)
+    _migrateNamedSaves() {
+        if (typeof localStorage === 'undefined') return;
+
+        const prefix = `gb_save_${this.romHash}_`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        for (const key of keys) {
+            if (!key.startsWith(prefix)) continue;
+            const name = key.slice(prefix.length);
+            if (/^\d+$/.test(name) || name.startsWith('named_')) continue;
+            this._migrateSave(key, this._getSlotKey(name));
         }
-        return title.trim() || 'unknown';
     }
 
     // Create save state
@@ -296,9 +783,10 @@ export class Emulator {
         }
 
         const state = {
-            version: 1,
+            version: STATE_VERSION,
             timestamp: Date.now(),
             rom: this._getROMTitle(),
+            romHash: this.romHash,
 
             // CPU state (small, no compression needed)
             cpu: {
@@ -333,53 +821,63 @@ export class Emulator {
                 romBank: this.mmu.romBank, romBankHigh: this.mmu.romBankHigh,
                 ramBank: this.mmu.ramBank, ramEnabled: this.mmu.ramEnabled,
                 mode: this.mmu.mbcMode,
-                rtc: this.mmu.rtc, rtcLatched: this.mmu.rtcLatched
+                rtc: { ...this.mmu.rtc }, rtcLatched: this.mmu.rtcLatched,
+                rtcLatchedData: { ...this.mmu.rtcLatchedData },
+                rtcLatchPrepare: this.mmu.rtcLatchPrepare,
+                rtcRegister: this.mmu.rtcRegister, rtcCycles: this.mmu.rtcCycles,
+                bootROMMapped: this.mmu.bootROMMapped
             },
 
-            // Memory (RLE compressed, base64 encoded)
-            mem: {}
-        };
-
-        // Compress memory sections
-        const vramCompressed = this._compressRLE(this.mmu.vram);
-        state.mem.vram = btoa(String.fromCharCode(...vramCompressed));
-
-        const wramCompressed = this._compressRLE(this.mmu.wram);
-        state.mem.wram = btoa(String.fromCharCode(...wramCompressed));
-
-        const oamCompressed = this._compressRLE(this.mmu.oam);
-        state.mem.oam = btoa(String.fromCharCode(...oamCompressed));
-
-        const hramCompressed = this._compressRLE(this.mmu.hram);
-        state.mem.hram = btoa(String.fromCharCode(...hramCompressed));
-
-        const ioCompressed = this._compressRLE(this.mmu.io);
-        state.mem.io = btoa(String.fromCharCode(...ioCompressed));
+            // APU state
+            apu: {
+                masterEnable: this.apu.masterEnable,
+                masterVolLeft: this.apu.masterVolLeft, masterVolRight: this.apu.masterVolRight,
+                vinLeft: this.apu.vinLeft, vinRight: this.apu.vinRight,
+                ch1Left: this.apu.ch1Left, ch1Right: this.apu.ch1Right,
+                ch2Left: this.apu.ch2Left, ch2Right: this.apu.ch2Right,
+                ch3Left: this.apu.ch3Left, ch3Right: this.apu.ch3Right,
+                ch4Left: this.apu.ch4Left, ch4Right: this.apu.ch4Right,
+                frameSequencerCycles: this.apu.frameSequencerCycles,
+                frameSequencerStep: this.apu.frameSequencerStep,
+                sampleCycles: this.apu.sampleCycles,
+                ch1: { ...this.apu.ch1 }, ch2: { ...this.apu.ch2 },
+                ch3: { ...this.apu.ch3 }, ch4: { ...this.apu.ch4 },
+                waveRam: Array.from(this.apu.waveRam)
+            },
 
-        state.mem.ie = this.mmu.ie;
+            // Joypad select lines
+            input: {
+                p1: this.input.p1
+            },
 
-        // External RAM - only save non-empty banks (smart compression)
-        if (!this._isAllZeros(this.mmu.eram)) {
-            const eramCompressed = this._compressRLE(this.mmu.eram);
-            state.mem.eram = btoa(String.fromCharCode(...eramCompressed));
-        }
+            // Memory
+            mem: {
+                vram: this.mmu.vram.slice(), wram: this.mmu.wram.slice(),
+                oam: this.mmu.oam.slice(), hram: this.mmu.hram.slice(),
+                io: this.mmu.io.slice(), eram: this.mmu.eram.slice(),
+                ie: this.mmu.ie
+            }
+        };
 
         return state;
     }
 
-    // Load save state
+    // Load save state (older versions are migrated first)
     loadState(state) {
         if (!this.romLoaded) {
             throw new Error('No ROM loaded');
         }
 
-        if (state.version !== 1) {
-            throw new Error('Unsupported save state version');
-        }
+        state = migrateState(state);
 
-        // Verify ROM matches
-        if (state.rom !== this._getROMTitle()) {
-            throw new Error(`Save state is for "${state.rom}", but "${this._getROMTitle()}" is loaded`);
+        // Verify ROM matches (states from before ROM hashing only carry the
+        // legacy title, which for CGB carts is longer than the parsed one)
+        if (state.romHash !== undefined) {
+            if (state.romHash !== this.romHash) {
+                throw new Error(`Save state is for "${state.rom}" (${state.romHash}), but "${this._getROMTitle()}" (${this.romHash}) is loaded`);
+            }
+        } else if (state.rom !== this._getLegacySaveTitle()) {
+            throw new Error(`Save state is for "${state.rom}", but "${this._getLegacySaveTitle()}" is loaded`);
         }
 
         // Restore CPU
@@ -416,60 +914,209 @@ export class Emulator {
         if (state.mbc.rtc) {
             this.mmu.rtc = { ...state.mbc.rtc };
             this.mmu.rtcLatched = state.mbc.rtcLatched;
+            this.mmu.rtcLatchedData = { ...state.mbc.rtcLatchedData };
         }
+        this.mmu.rtcLatchPrepare = state.mbc.rtcLatchPrepare;
+        this.mmu.rtcRegister = state.mbc.rtcRegister;
+        this.mmu.rtcCycles = state.mbc.rtcCycles;
+        this.mmu.bootROMMapped = state.mbc.bootROMMapped && this.mmu.bootROM !== null;
 
         // Restore memory
-        const decodeAndDecompress = (b64, len) => {
-            const binary = atob(b64);
-            const bytes = new Uint8Array(binary.length);
-            for (let i = 0; i < binary.length; i++) {
-                bytes[i] = binary.charCodeAt(i);
-            }
-            return this._decompressRLE(bytes, len);
-        };
-
-        this.mmu.vram.set(decodeAndDecompress(state.mem.vram, 0x2000));
-        this.mmu.wram.set(decodeAndDecompress(state.mem.wram, 0x2000));
-        this.mmu.oam.set(decodeAndDecompress(state.mem.oam, 0xA0));
-        this.mmu.hram.set(decodeAndDecompress(state.mem.hram, 0x7F));
-        this.mmu.io.set(decodeAndDecompress(state.mem.io, 0x80));
+        this.mmu.vram.set(state.mem.vram);
+        this.mmu.wram.set(state.mem.wram);
+        this.mmu.oam.set(state.mem.oam);
+        this.mmu.hram.set(state.mem.hram);
+        this.mmu.io.set(state.mem.io);
+        this.mmu.eram.set(state.mem.eram);
         this.mmu.ie = state.mem.ie;
 
-        if (state.mem.eram) {
-            this.mmu.eram.set(decodeAndDecompress(state.mem.eram, 0x20000));
+        if (state.apu) {
+            // Restore APU
+            const apu = state.apu;
+            this.apu.masterEnable = apu.masterEnable;
+            this.apu.masterVolLeft = apu.masterVolLeft; this.apu.masterVolRight = apu.masterVolRight;
+            this.apu.vinLeft = !!apu.vinLeft; this.apu.vinRight = !!apu.vinRight;
+            this.apu.ch1Left = apu.ch1Left; this.apu.ch1Right = apu.ch1Right;
+            this.apu.ch2Left = apu.ch2Left; this.apu.ch2Right = apu.ch2Right;
+            this.apu.ch3Left = apu.ch3Left; this.apu.ch3Right = apu.ch3Right;
+            this.apu.ch4Left = apu.ch4Left; this.apu.ch4Right = apu.ch4Right;
+            this.apu.frameSequencerCycles = apu.frameSequencerCycles;
+            this.apu.frameSequencerStep = apu.frameSequencerStep;
+            this.apu.sampleCycles = apu.sampleCycles;
+            Object.assign(this.apu.ch1, apu.ch1);
+            Object.assign(this.apu.ch2, apu.ch2);
+            Object.assign(this.apu.ch3, apu.ch3);
+            Object.assign(this.apu.ch4, apu.ch4);
+            this.apu.waveRam.set(apu.waveRam);
+
+            // Restore joypad select lines
+            this.input.p1 = state.input.p1;
         } else {
-            this.mmu.eram.fill(0);
+            this._restoreAPUFromIO();
         }
+        this._logAPUState();
     }
 
-    // Save to localStorage
-    save() {
+    // States migrated from version 1 have no APU state: rebuild the channel registers from
+    // the I/O mirror without retriggering, so sound resumes on the next note
+    _restoreAPUFromIO() {
+        const io = this.mmu.io;
+        this.apu.reset();
+        this.apu.writeRegister(0xFF26, io[0x26]);
+        for (let addr = 0xFF10; addr <= 0xFF25; addr++) {
+            const isTrigger = addr === 0xFF14 || addr === 0xFF19 || addr === 0xFF1E || addr === 0xFF23;
+            const value = io[addr & 0x7F];
+            this.apu.writeRegister(addr, isTrigger ? value & 0x7F : value);
+        }
+        for (let addr = 0xFF30; addr <= 0xFF3F; addr++) {
+            this.apu.writeRegister(addr, io[addr & 0x7F]);
+        }
+        this.input.write(io[0x00]);
+    }
+
+    // Binary save state (see savestate.js for the format)
+    exportState() {
+        return encodeState(this.saveState());
+    }
+
+    importState(bytes) {
+        this.loadState(decodeState(bytes));
+    }
+
+    // Human-readable JSON save state, for debugging
+    exportStateJSON() {
+        return stateToJSON(this.saveState());
+    }
+
+    importStateJSON(json) {
+        this.loadState(parseStateJSON(json));
+    }
+
+    // === SAVE SLOTS ===
+
+    // Slots are numbers 1-saveSlotCount or non-empty names. Names are never
+    // taken as numbers, so a slot named "2" is not numbered slot 2.
+    _checkSlot(slot) {
+        if (typeof slot === 'string') {
+            slot = slot.trim();
+        }
+        if (typeof slot === 'number') {
+            if (!Number.isInteger(slot) || slot < 1 || slot > this.saveSlotCount) {
+                throw new Error(`Save slot must be between 1 and ${this.saveSlotCount}`);
+            }
+            return slot;
+        }
+        if (typeof slot !== 'string' || slot === '') {
+            throw new Error('Save slot needs a number or a name');
+        }
+        return slot;
+    }
+
+    // Named slots have their own key space so they can't clash with numbered ones
+    _getSlotKey(slot) {
+        return typeof slot === 'number'
+            ? `gb_save_${this.romHash}_${slot}`
+            : `gb_save_${this.romHash}_named_${slot}`;
+    }
+
+    // Decode a stored state (saves from before the binary format are JSON)
+    _parseSave(data) {
+        return data.startsWith('{')
+            ? parseStateJSON(data)
+            : decodeState(base64ToBytes(data));
+    }
+
+    // PPU framebuffer as shade indices (0-3), so thumbnails follow palette changes
+    _captureThumbnail() {
+        const shades = new Map(this.ppu.colors.map((color, i) => [color, i]));
+        const frameBuffer = this.ppu.frameBuffer;
+        const thumbnail = new Uint8Array(frameBuffer.length);
+        for (let i = 0; i < frameBuffer.length; i++) {
+            thumbnail[i] = shades.get(frameBuffer[i]) ?? 0;
+        }
+        return thumbnail;
+    }
+
+    // Save to a localStorage slot (binary state with thumbnail, base64 encoded)
+    save(slot = 1) {
+        slot = this._checkSlot(slot);
         const state = this.saveState();
-        const key = `gb_save_${state.rom}`;
-        const json = JSON.stringify(state);
-        localStorage.setItem(key, json);
-        console.log(`Saved state for "${state.rom}" (${(json.length / 1024).toFixed(1)} KB)`);
-        return { key, size: json.length, timestamp: state.timestamp };
+        state.thumbnail = this._captureThumbnail();
+        const key = this._getSlotKey(slot);
+        const data = bytesToBase64(encodeState(state));
+        localStorage.setItem(key, data);
+        return { slot, key, size: data.length, timestamp: state.timestamp };
     }
 
-    // Load from localStorage
-    load() {
+    // Load from a localStorage slot. The state being replaced is kept for undoLoad().
+    load(slot = 1) {
+        slot = this._checkSlot(slot);
         const romTitle = this._getROMTitle();
-        const key = `gb_save_${romTitle}`;
-        const json = localStorage.getItem(key);
-        if (!json) {
-            throw new Error(`No save found for "${romTitle}"`);
+        const data = localStorage.getItem(this._getSlotKey(slot));
+        if (!data) {
+            throw new Error(`No save in slot ${slot} for "${romTitle}"`);
         }
-        const state = JSON.parse(json);
+        const state = this._parseSave(data);
+        const undoState = this.saveState();
         this.loadState(state);
-        console.log(`Loaded state for "${romTitle}" from ${new Date(state.timestamp).toLocaleString()}`);
-        return { timestamp: state.timestamp };
+        this.undoState = undoState;
+        return { slot, timestamp: state.timestamp };
+    }
+
+    // Go back to the state from just before the last load()
+    undoLoad() {
+        if (!this.undoState) {
+            throw new Error('No load to undo');
+        }
+        this.loadState(this.undoState);
+        this.undoState = null;
+    }
+
+    canUndoLoad() {
+        return this.undoState !== null;
     }
 
-    // Check if save exists
-    hasSave() {
+    // Check if a slot has a save
+    hasSave(slot = 1) {
         if (!this.romLoaded) return false;
-        const key = `gb_save_${this._getROMTitle()}`;
-        return localStorage.getItem(key) !== null;
+        return localStorage.getItem(this._getSlotKey(this._checkSlot(slot))) !== null;
+    }
+
+    deleteSave(slot) {
+        localStorage.removeItem(this._getSlotKey(this._checkSlot(slot)));
+    }
+
+    // Saves for the loaded ROM: numbered slots in order, then named slots, newest first.
+    // Each entry has slot, timestamp and thumbnail (null for saves made before thumbnails).
+    listSaves() {
+        if (!this.romLoaded || typeof localStorage === 'undefined') return [];
+
+        const prefix = `gb_save_${this.romHash}_`;
+        const saves = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(prefix)) continue;
+
+            const name = key.slice(prefix.length);
+            const slot = name.startsWith('named_') ? name.slice(6) : Number(name);
+            if (typeof slot === 'number' && !/^\d+$/.test(name)) continue;
+            try {
+                const state = this._parseSave(localStorage.getItem(key));
+                saves.push({
+                    slot,
+                    timestamp: state.timestamp,
+                    thumbnail: state.thumbnail || null
+                });
+            } catch (err) {
+                console.warn(`Skipping unreadable save ${key}:`, err.message);
+            }
+        }
+
+        return saves.sort((a, b) => {
+            const aNumbered = typeof a.slot === 'number';
+            const bNumbered = typeof b.slot === 'number';
+            if (aNumbered !== bNumbered) return aNumbered ? -1 : 1;
+            return aNumbered ? a.slot - b.slot : b.timestamp - a.timestamp;
+        });
     }
 }
@@ -0,0 +1,130 @@
+// GBS (Game Boy Sound System) Files
+// A GBS rip holds a game's music code and data plus a header with its entry
+// points. It is played by placing the data at its load address in a synthetic
+// MBC5 ROM together with a small driver:
+//   0x00-0x38  RST vectors, jumping to the same offsets in the rip
+//   0x40/0x50  V-Blank / timer interrupt (whichever the rip uses) -> PLAY_HANDLER
+//   0x68       PLAY_HANDLER: call PLAY, return from interrupt
+//   0x70       INIT_ENTRY: with the song number (0-based) in A, enable cartridge
+//              RAM, set up sound and timer, call INIT, then halt forever and let
+//              interrupts call PLAY
+//   0x100      Cartridge entry: set SP and start the first song
+import { readHeaderString, computeHeaderChecksum, computeGlobalChecksum } from './header.js';
+
+const HEADER_SIZE = 0x70;
+const PLAY_HANDLER = 0x68;
+export const INIT_ENTRY = 0x70;
+const START_ENTRY = 0xC0;
+
+// Parse a .gbs file. Track numbers are 1-based; INIT is passed track - 1.
+export function parseGBS(data) {
+    if (data.length < HEADER_SIZE || readHeaderString(data, 0, 3) !== 'GBS') {
+        throw new Error('Not a GBS file');
+    }
+    if (data[3] !== 1) {
+        throw new Error(`Unsupported GBS version ${data[3]}`);
+    }
+
+    const word = (offset) => data[offset] | (data[offset + 1] << 8);
+    const gbs = {
+        trackCount: data[4],
+        firstTrack: data[5],
+        loadAddress: word(0x06),
+        initAddress: word(0x08),
+        playAddress: word(0x0A),
+        stackPointer: word(0x0C),
+        timerModulo: data[0x0E],
+        timerControl: data[0x0F],
+        title: readHeaderString(data, 0x10, 0x30),
+        author: readHeaderString(data, 0x30, 0x50),
+        copyright: readHeaderString(data, 0x50, 0x70),
+        data: data.subarray(HEADER_SIZE)
+    };
+    // Timer control bit 2 calls PLAY from the timer interrupt instead of V-Blank.
+    // Bit 7 asks for CGB double speed, which isn't emulated.
+    gbs.useTimer = (gbs.timerControl & 0x04) !== 0;
+
+    if (gbs.trackCount === 0) {
+        throw new Error('GBS file has no tracks');
+    }
+    if (gbs.firstTrack < 1 || gbs.firstTrack > gbs.trackCount) {
+        gbs.firstTrack = 1;
+    }
+    if (gbs.loadAddress < 0x400 || gbs.loadAddress >= 0x8000) {
+        throw new Error(`GBS load address 0x${gbs.loadAddress.toString(16)} is outside 0x400-0x7FFF`);
+    }
+    return gbs;
+}
+
+// Build the synthetic ROM the rip runs in (see the layout above)
+export function buildGBSROM(gbs) {
+    const end = gbs.loadAddress + gbs.data.length;
+    let size = 0x8000;
+    let sizeCode = 0;
+    while (size < end) {
+        size *= 2;
+        sizeCode++;
+    }
+    if (sizeCode > 8) {
+        throw new Error('GBS data is too large');
+    }
+
+    const rom = new Uint8Array(size);
+    rom.set(gbs.data, gbs.loadAddress);
+
+    const lo = (addr) => addr & 0xFF;
+    const hi = (addr) => addr >> 8;
+    const RETI = 0xD9;
+
+    for (let vector = 0; vector < 0x40; vector += 8) {
+        rom.set([0xC3, lo(gbs.loadAddress + vector), hi(gbs.loadAddress + vector)], vector);   // JP
+    }
+    rom.set(gbs.useTimer ? [RETI] : [0xC3, PLAY_HANDLER, 0x00], 0x40);      // V-Blank
+    rom[0x48] = RETI;                                                       // STAT
+    rom.set(gbs.useTimer ? [0xC3, PLAY_HANDLER, 0x00] : [RETI], 0x50);      // Timer
+    rom[0x58] = RETI;                                                       // Serial
+    rom[0x60] = RETI;                                                       // Joypad
+
+    rom.set([
+        0xCD, lo(gbs.playAddress), hi(gbs.playAddress),    // CALL play
+        RETI
+    ], PLAY_HANDLER);
+
+    rom.set([
+        0x5F,                                   // LD E,A         song number
+        0x3E, 0x0A, 0xEA, 0x00, 0x00,           // LD A,$0A / LD ($0000),A   enable cartridge RAM
+        0x3E, 0x80, 0xE0, 0x26,                 // LD A,$80 / LDH (NR52),A
+        0x3E, 0xFF, 0xE0, 0x25,                 // LD A,$FF / LDH (NR51),A
+        0x3E, 0x77, 0xE0, 0x24,                 // LD A,$77 / LDH (NR50),A
+        0x3E, gbs.timerModulo, 0xE0, 0x06,      // LD A,tma / LDH (TMA),A
+        0x3E, gbs.timerControl & 0x07, 0xE0, 0x07,  // LD A,tac / LDH (TAC),A
+        0x3E, gbs.useTimer ? 0x04 : 0x01, 0xE0, 0xFF,   // LD A,ie / LDH (IE),A
+        0x7B,                                   // LD A,E
+        0xCD, lo(gbs.initAddress), hi(gbs.initAddress), // CALL init
+        0xAF, 0xE0, 0x0F,                       // XOR A / LDH (IF),A
+        0xFB,                                   // EI
+        0x76,                                   // loop: HALT
+        0x18, 0xFD                              // JR loop
+    ], INIT_ENTRY);
+
+    rom.set([
+        0x31, lo(gbs.stackPointer), hi(gbs.stackPointer),   // LD SP,sp
+        0x3E, gbs.firstTrack - 1,                           // LD A,first track
+        0xC3, INIT_ENTRY, 0x00                              // JP INIT_ENTRY
+    ], START_ENTRY);
+
+    // Cartridge header: NOP / JP START_ENTRY, title, MBC5+RAM, checksums
+    rom.set([0x00, 0xC3, START_ENTRY, 0x00], 0x100);
+    const title = gbs.title.toUpperCase().slice(0, 15);
+    for (let i = 0; i < title.length; i++) {
+        rom[0x134 + i] = title.charCodeAt(i);
+    }
+    rom[0x147] = 0x1A;
+    rom[0x148] = sizeCode;
+    rom[0x149] = 0x02;      // 8KB, for rips that keep variables in cartridge RAM
+    rom[0x14D] = computeHeaderChecksum(rom);
+    const checksum = computeGlobalChecksum(rom);
+    rom[0x14E] = checksum >> 8;
+    rom[0x14F] = checksum & 0xFF;
+    return rom;
+}
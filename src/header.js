@@ -0,0 +1,266 @@
+// Cartridge Header Parser (0x0100-0x014F)
+// Decodes the header fields and validates the logo and checksums
+
+// Nintendo logo bitmap (0x0104-0x0133), checked by the boot ROM
+const nintendoLogo = [
+    0xCE, 0xED, 0x66, 0x66, 0xCC, 0x0D, 0x00, 0x0B, 0x03, 0x73, 0x00, 0x83,
+    0x00, 0x0C, 0x00, 0x0D, 0x00, 0x08, 0x11, 0x1F, 0x88, 0x89, 0x00, 0x0E,
+    0xDC, 0xCC, 0x6E, 0xE6, 0xDD, 0xDD, 0xD9, 0x99, 0xBB, 0xBB, 0x67, 0x63,
+    0x6E, 0x0E, 0xEC, 0xCC, 0xDD, 0xDC, 0x99, 0x9F, 0xBB, 0xB9, 0x33, 0x3E
+];
+
+// Cartridge types (0x0147)
+// mbc: MMU bank controller type, or null if not emulated
+export const cartTypes = {
+    0x00: { name: 'ROM ONLY', mbc: 0, ram: false, battery: false, rtc: false },
+    0x01: { name: 'MBC1', mbc: 1, ram: false, battery: false, rtc: false },
+    0x02: { name: 'MBC1+RAM', mbc: 1, ram: true, battery: false, rtc: false },
+    0x03: { name: 'MBC1+RAM+BATTERY', mbc: 1, ram: true, battery: true, rtc: false },
+    0x05: { name: 'MBC2', mbc: 2, ram: true, battery: false, rtc: false },
+    0x06: { name: 'MBC2+BATTERY', mbc: 2, ram: true, battery: true, rtc: false },
+    0x08: { name: 'ROM+RAM', mbc: 0, ram: true, battery: false, rtc: false },
+    0x09: { name: 'ROM+RAM+BATTERY', mbc: 0, ram: true, battery: true, rtc: false },
+    0x0B: { name: 'MMM01', mbc: null, ram: false, battery: false, rtc: false },
+    0x0C: { name: 'MMM01+RAM', mbc: null, ram: true, battery: false, rtc: false },
+    0x0D: { name: 'MMM01+RAM+BATTERY', mbc: null, ram: true, battery: true, rtc: false },
+    0x0F: { name: 'MBC3+TIMER+BATTERY', mbc: 3, ram: false, battery: true, rtc: true },
+    0x10: { name: 'MBC3+TIMER+RAM+BATTERY', mbc: 3, ram: true, battery: true, rtc: true },
+    0x11: { name: 'MBC3', mbc: 3, ram: false, battery: false, rtc: false },
+    0x12: { name: 'MBC3+RAM', mbc: 3, ram: true, battery: false, rtc: false },
+    0x13: { name: 'MBC3+RAM+BATTERY', mbc: 3, ram: true, battery: true, rtc: false },
+    0x19: { name: 'MBC5', mbc: 5, ram: false, battery: false, rtc: false },
+    0x1A: { name: 'MBC5+RAM', mbc: 5, ram: true, battery: false, rtc: false },
+    0x1B: { name: 'MBC5+RAM+BATTERY', mbc: 5, ram: true, battery: true, rtc: false },
+    0x1C: { name: 'MBC5+RUMBLE', mbc: 5, ram: false, battery: false, rtc: false },
+    0x1D: { name: 'MBC5+RUMBLE+RAM', mbc: 5, ram: true, battery: false, rtc: false },
+    0x1E: { name: 'MBC5+RUMBLE+RAM+BATTERY', mbc: 5, ram: true, battery: true, rtc: false },
+    0x20: { name: 'MBC6', mbc: null, ram: true, battery: true, rtc: false },
+    0x22: { name: 'MBC7+SENSOR+RUMBLE+RAM+BATTERY', mbc: null, ram: true, battery: true, rtc: false },
+    0xFC: { name: 'POCKET CAMERA', mbc: null, ram: true, battery: true, rtc: false },
+    0xFD: { name: 'BANDAI TAMA5', mbc: null, ram: true, battery: true, rtc: false },
+    0xFE: { name: 'HuC3', mbc: null, ram: true, battery: true, rtc: true },
+    0xFF: { name: 'HuC1+RAM+BATTERY', mbc: null, ram: true, battery: true, rtc: false }
+};
+
+// ROM size codes (0x0148) to number of 16KB banks
+const romBankCounts = {
+    0x00: 2, 0x01: 4, 0x02: 8, 0x03: 16, 0x04: 32,
+    0x05: 64, 0x06: 128, 0x07: 256, 0x08: 512,
+    0x52: 72, 0x53: 80, 0x54: 96
+};
+
+// RAM size codes (0x0149) to bytes
+const ramSizes = [0, 0, 0x2000, 0x8000, 0x20000, 0x10000];
+
+// New licensee codes (0x0144-0x0145), used when the old code is 0x33
+const newLicensees = {
+    '00': 'None', '01': 'Nintendo R&D1', '08': 'Capcom', '13': 'Electronic Arts',
+    '18': 'Hudson Soft', '19': 'B-AI', '20': 'KSS', '22': 'POW',
+    '24': 'PCM Complete', '25': 'San-X', '28': 'Kemco Japan', '29': 'SETA',
+    '30': 'Viacom', '31': 'Nintendo', '32': 'Bandai', '33': 'Ocean/Acclaim',
+    '34': 'Konami', '35': 'Hector', '37': 'Taito', '38': 'Hudson',
+    '39': 'Banpresto', '41': 'Ubisoft', '42': 'Atlus', '44': 'Malibu',
+    '46': 'Angel', '47': 'Bullet-Proof', '49': 'Irem', '50': 'Absolute',
+    '51': 'Acclaim', '52': 'Activision', '53': 'American Sammy', '54': 'Konami',
+    '55': 'Hi Tech Entertainment', '56': 'LJN', '57': 'Matchbox', '58': 'Mattel',
+    '59': 'Milton Bradley', '60': 'Titus', '61': 'Virgin', '64': 'LucasArts',
+    '67': 'Ocean', '69': 'Electronic Arts', '70': 'Infogrames', '71': 'Interplay',
+    '72': 'Broderbund', '73': 'Sculptured', '75': 'SCi', '78': 'THQ',
+    '79': 'Accolade', '80': 'Misawa', '83': 'LOZC', '86': 'Tokuma Shoten',
+    '87': 'Tsukuda Original', '91': 'Chunsoft', '92': 'Video System', '93': 'Ocean/Acclaim',
+    '95': 'Varie', '96': "Yonezawa/S'Pal", '97': 'Kaneko', '99': 'Pack-In-Soft',
+    'A4': 'Konami'
+};
+
+// Old licensee codes (0x014B)
+const oldLicensees = {
+    0x00: 'None', 0x01: 'Nintendo', 0x08: 'Capcom', 0x09: 'Hot-B',
+    0x0A: 'Jaleco', 0x0B: 'Coconuts Japan', 0x0C: 'Elite Systems', 0x13: 'Electronic Arts',
+    0x18: 'Hudson Soft', 0x19: 'ITC Entertainment', 0x1A: 'Yanoman', 0x1D: 'Japan Clary',
+    0x1F: 'Virgin', 0x24: 'PCM Complete', 0x25: 'San-X', 0x28: 'Kotobuki Systems',
+    0x29: 'SETA', 0x30: 'Infogrames', 0x31: 'Nintendo', 0x32: 'Bandai',
+    0x34: 'Konami', 0x35: 'Hector', 0x38: 'Capcom', 0x39: 'Banpresto',
+    0x3C: 'Entertainment Interactive', 0x3E: 'Gremlin', 0x41: 'Ubisoft', 0x42: 'Atlus',
+    0x44: 'Malibu', 0x46: 'Angel', 0x47: 'Spectrum HoloByte', 0x49: 'Irem',
+    0x4A: 'Virgin', 0x4D: 'Malibu', 0x4F: 'U.S. Gold', 0x50: 'Absolute',
+    0x51: 'Acclaim', 0x52: 'Activision', 0x53: 'American Sammy', 0x54: 'GameTek',
+    0x55: 'Park Place', 0x56: 'LJN', 0x57: 'Matchbox', 0x59: 'Milton Bradley',
+    0x5A: 'Mindscape', 0x5B: 'Romstar', 0x5C: 'Naxat Soft', 0x5D: 'Tradewest',
+    0x60: 'Titus', 0x61: 'Virgin', 0x67: 'Ocean', 0x69: 'Electronic Arts',
+    0x6E: 'Elite Systems', 0x6F: 'Electro Brain', 0x70: 'Infogrames', 0x71: 'Interplay',
+    0x72: 'Broderbund', 0x73: 'Sculptured', 0x75: 'The Sales Curve', 0x78: 'THQ',
+    0x79: 'Accolade', 0x7A: 'Triffix Entertainment', 0x7C: 'MicroProse', 0x7F: 'Kemco',
+    0x80: 'Misawa', 0x83: 'LOZC', 0x86: 'Tokuma Shoten', 0x8B: 'Bullet-Proof',
+    0x8C: 'Vic Tokai', 0x8E: 'Ape', 0x8F: "I'Max", 0x91: 'Chunsoft',
+    0x92: 'Video System', 0x93: 'Tsuburaya Productions', 0x95: 'Varie', 0x96: "Yonezawa/S'Pal",
+    0x97: 'Kaneko', 0x99: 'Arc', 0x9A: 'Nihon Bussan', 0x9B: 'Tecmo',
+    0x9C: 'Imagineer', 0x9D: 'Banpresto', 0x9F: 'Nova', 0xA1: 'Hori Electric',
+    0xA2: 'Bandai', 0xA4: 'Konami', 0xA6: 'Kawada', 0xA7: 'Takara',
+    0xA9: 'Technos Japan', 0xAA: 'Broderbund', 0xAC: 'Toei Animation', 0xAD: 'Toho',
+    0xAF: 'Namco', 0xB0: 'Acclaim', 0xB1: 'ASCII/Nexsoft', 0xB2: 'Bandai',
+    0xB4: 'Square Enix', 0xB6: 'HAL Laboratory', 0xB7: 'SNK', 0xB9: 'Pony Canyon',
+    0xBA: 'Culture Brain', 0xBB: 'Sunsoft', 0xBD: 'Sony Imagesoft', 0xBF: 'Sammy',
+    0xC0: 'Taito', 0xC2: 'Kemco', 0xC3: 'Square', 0xC4: 'Tokuma Shoten',
+    0xC5: 'Data East', 0xC6: 'Tonkin House', 0xC8: 'Koei', 0xC9: 'UFL',
+    0xCA: 'Ultra', 0xCB: 'Vap', 0xCC: 'Use Corporation', 0xCD: 'Meldac',
+    0xCE: 'Pony Canyon', 0xCF: 'Angel', 0xD0: 'Taito', 0xD1: 'Sofel',
+    0xD2: 'Quest', 0xD3: 'Sigma Enterprises', 0xD4: 'ASK Kodansha', 0xD6: 'Naxat Soft',
+    0xD7: 'Copya System', 0xD9: 'Banpresto', 0xDA: 'Tomy', 0xDB: 'LJN',
+    0xDD: 'NCS', 0xDE: 'Human', 0xDF: 'Altron', 0xE0: 'Jaleco',
+    0xE1: 'Towa Chiki', 0xE2: 'Yutaka', 0xE3: 'Varie', 0xE5: 'Epoch',
+    0xE7: 'Athena', 0xE8: 'Asmik Ace', 0xE9: 'Natsume', 0xEA: 'King Records',
+    0xEB: 'Atlus', 0xEC: 'Epic/Sony Records', 0xEE: 'IGS', 0xF0: 'A Wave',
+    0xF3: 'Extreme Entertainment', 0xFF: 'LJN'
+};
+
+const hex = (value, digits = 2) => '0x' + value.toString(16).toUpperCase().padStart(digits, '0');
+
+// Read a printable ASCII string, stopping at the first NUL byte
+export function readHeaderString(data, start, end) {
+    let str = '';
+    for (let i = start; i < end && i < data.length; i++) {
+        const char = data[i];
+        if (char === 0) break;
+        if (char >= 32 && char < 127) {
+            str += String.fromCharCode(char);
+        }
+    }
+    return str.trim();
+}
+
+// Header checksum over 0x0134-0x014C, verified by the boot ROM
+export function computeHeaderChecksum(data) {
+    let checksum = 0;
+    for (let i = 0x134; i <= 0x14C; i++) {
+        checksum = (checksum - data[i] - 1) & 0xFF;
+    }
+    return checksum;
+}
+
+// Global checksum: 16-bit sum of every ROM byte except the checksum itself
+export function computeGlobalChecksum(data) {
+    let checksum = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (i === 0x14E || i === 0x14F) continue;
+        checksum = (checksum + data[i]) & 0xFFFF;
+    }
+    return checksum;
+}
+
+// Parse the cartridge header. Problems are collected in `warnings` rather
+// than thrown, since many homebrew ROMs and hacks have sloppy headers.
+export function parseHeader(data) {
+    const warnings = [];
+
+    // A truncated header is decoded as far as it goes, the rest read as 0
+    let header = data;
+    if (data.length < 0x150) {
+        warnings.push(`ROM too small to contain a full header (${data.length} bytes)`);
+        header = new Uint8Array(0x150);
+        header.set(data);
+    }
+
+    // CGB flag shares the last title byte; CGB titles are 11 chars + 4-char manufacturer code
+    const cgbFlag = header[0x143];
+    const isCGB = (cgbFlag & 0x80) !== 0;
+    let title, manufacturerCode = '';
+    if (isCGB) {
+        title = readHeaderString(header, 0x134, 0x13F);
+        const code = readHeaderString(header, 0x13F, 0x143);
+        if (/^[A-Z0-9]{4}$/.test(code)) {
+            manufacturerCode = code;
+        } else {
+            title = readHeaderString(header, 0x134, 0x143);
+        }
+    } else {
+        title = readHeaderString(header, 0x134, 0x144);
+    }
+
+    // Licensee: old code 0x33 means the new two-character code is used
+    const oldLicenseeCode = header[0x14B];
+    const newLicenseeCode = String.fromCharCode(header[0x144], header[0x145]);
+    const licensee = oldLicenseeCode === 0x33
+        ? newLicensees[newLicenseeCode] || `Unknown (${newLicenseeCode})`
+        : oldLicensees[oldLicenseeCode] || `Unknown (${hex(oldLicenseeCode)})`;
+
+    // Cartridge type
+    const cartType = header[0x147];
+    const cart = cartTypes[cartType];
+    if (!cart) {
+        warnings.push(`Unknown cartridge type ${hex(cartType)}, treating as ROM only`);
+    } else if (cart.mbc === null) {
+        warnings.push(`Unsupported cartridge type ${hex(cartType)} (${cart.name}), treating as ROM only`);
+    }
+
+    // ROM size
+    const romSizeCode = header[0x148];
+    let romBanks = romBankCounts[romSizeCode];
+    if (romBanks === undefined) {
+        warnings.push(`Unknown ROM size code ${hex(romSizeCode)}`);
+        romBanks = Math.max(2, Math.ceil(data.length / 0x4000));
+    }
+    if (romBanks * 0x4000 !== data.length) {
+        warnings.push(`Header ROM size (${romBanks * 16}KB) does not match file size (${data.length / 1024}KB)`);
+    }
+
+    // RAM size
+    const ramSizeCode = header[0x149];
+    let ramSize = ramSizes[ramSizeCode];
+    if (ramSize === undefined) {
+        warnings.push(`Unknown RAM size code ${hex(ramSizeCode)}`);
+        ramSize = 0;
+    }
+
+    // Nintendo logo
+    let logoValid = true;
+    for (let i = 0; i < nintendoLogo.length; i++) {
+        if (header[0x104 + i] !== nintendoLogo[i]) {
+            logoValid = false;
+            break;
+        }
+    }
+
+    // Checksums
+    const headerChecksum = header[0x14D];
+    const headerChecksumValid = computeHeaderChecksum(header) === headerChecksum;
+    if (!headerChecksumValid) {
+        warnings.push(`Bad header checksum ${hex(headerChecksum)} (expected ${hex(computeHeaderChecksum(header))})`);
+    }
+
+    const globalChecksum = (header[0x14E] << 8) | header[0x14F];
+    const globalChecksumValid = computeGlobalChecksum(data) === globalChecksum;
+    if (!globalChecksumValid) {
+        warnings.push(`Bad global checksum ${hex(globalChecksum, 4)} (expected ${hex(computeGlobalChecksum(data), 4)})`);
+    }
+
+    return {
+        title,
+        manufacturerCode,
+        cgbFlag,
+        cgbSupport: cgbFlag === 0xC0 ? 'only' : (isCGB ? 'compatible' : 'none'),
+        sgbSupport: header[0x146] === 0x03 && oldLicenseeCode === 0x33,
+        licensee,
+        oldLicenseeCode,
+        newLicenseeCode: oldLicenseeCode === 0x33 ? newLicenseeCode : null,
+        cartType,
+        cartTypeName: cart ? cart.name : `Unknown (${hex(cartType)})`,
+        mbcType: cart && cart.mbc !== null ? cart.mbc : 0,
+        supported: !!cart && cart.mbc !== null,
+        hasRAM: cart ? cart.ram : false,
+        hasBattery: cart ? cart.battery : false,
+        hasRTC: cart ? cart.rtc : false,
+        romSizeCode,
+        romBanks,
+        romSize: romBanks * 0x4000,
+        ramSizeCode,
+        ramSize,
+        destination: header[0x14A] === 0x00 ? 'Japan' : 'Overseas',
+        version: header[0x14C],
+        logoValid,
+        headerChecksum,
+        headerChecksumValid,
+        globalChecksum,
+        globalChecksumValid,
+        warnings
+    };
+}
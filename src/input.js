@@ -10,6 +10,9 @@ export class Input {
         // P1 register state
         this.p1 = 0xFF;
 
+        // Set while Shift is held as part of a Shift+F-key hotkey (load slot)
+        this.shiftHotkey = false;
+
         // Set up keyboard listeners
         this.setupKeyboard();
     }
@@ -23,8 +26,23 @@ export class Input {
     }
 
     onKey(event, pressed) {
+        // Don't steal keys while typing in a text field (e.g. save slot names)
+        if (event.target && event.target.tagName === 'INPUT' && event.target.type === 'text') {
+            return;
+        }
+
         const bit = pressed ? 0 : 1;
 
+        // Shift+F1-F10 loads a save slot: let go of the Select that Shift
+        // pressed, and ignore Shift until it is released
+        if (/^F\d+$/.test(event.code)) {
+            if (pressed && event.shiftKey) {
+                this.buttons |= 0x04;
+                this.shiftHotkey = true;
+            }
+            return;
+        }
+
         switch (event.code) {
             // D-Pad
             case 'ArrowRight':
@@ -49,6 +67,10 @@ export class Input {
                 break;
             case 'ShiftRight':
             case 'ShiftLeft':  // Select
+                if (this.shiftHotkey) {
+                    if (!pressed) this.shiftHotkey = false;
+                    return;
+                }
                 this.buttons = pressed ? (this.buttons & ~0x04) : (this.buttons | 0x04);
                 break;
             case 'Enter':  // Start
@@ -94,5 +116,6 @@ export class Input {
         this.buttons = 0x0F;
         this.directions = 0x0F;
         this.p1 = 0xFF;
+        this.shiftHotkey = false;
     }
 }
@@ -1,4 +1,6 @@
-// Memory Management Unit with MBC1/MBC3/MBC5 support
+// Memory Management Unit with MBC1/MBC2/MBC3/MBC5 support
+import { parseHeader } from './header.js';
+
 export class MMU {
     constructor() {
         this.reset();
@@ -8,6 +10,11 @@ export class MMU {
         // ROM banks (loaded from cartridge)
         this.rom = null;
         this.romBanks = 0;
+        this.header = null;      // Parsed cartridge header
+
+        // Optional DMG boot ROM, mapped over 0x0000-0x00FF until 0xFF50 is written
+        this.bootROM = null;
+        this.bootROMMapped = false;
 
         // RAM
         this.vram = new Uint8Array(0x2000);      // 8KB Video RAM
@@ -21,26 +28,20 @@ export class MMU {
         this.ie = 0;  // Interrupt Enable (0xFFFF)
 
         // MBC state
-        this.mbcType = 0;        // 0 = ROM only, 1 = MBC1, 3 = MBC3, 5 = MBC5
+        this.mbcType = 0;        // 0 = ROM only, 1 = MBC1, 2 = MBC2, 3 = MBC3, 5 = MBC5
         this.romBank = 1;        // Current ROM bank
         this.romBankHigh = 0;    // High bit of ROM bank (MBC5)
         this.ramBank = 0;        // Current RAM bank
         this.ramEnabled = false; // RAM enable flag
         this.mbcMode = 0;        // 0 = ROM mode, 1 = RAM mode (MBC1)
 
+        // Battery-backed cartridge RAM
+        this.hasBattery = false;
+        this.ramDirty = false;   // Set on writes to cartridge RAM/RTC
+
         // MBC3 RTC registers
-        this.rtcEnabled = false;
-        this.rtcRegister = 0;    // Selected RTC register (0x08-0x0C)
-        this.rtcLatched = false;
-        this.rtcLatchPrepare = false;
-        this.rtc = {
-            seconds: 0,
-            minutes: 0,
-            hours: 0,
-            daysLow: 0,
-            daysHigh: 0  // bit 0 = day high bit, bit 6 = halt, bit 7 = day carry
-        };
-        this.rtcLatchedData = { ...this.rtc };
+        this.hasRTC = false;
+        this.resetRTC();
 
         // References to other components (set by emulator)
         this.ppu = null;
@@ -52,7 +53,17 @@ export class MMU {
         this.initIO();
     }
 
-    initIO() {
+    // bootROM: power-on values for the boot ROM to initialize, and map it in
+    initIO(bootROM = false) {
+        this.bootROMMapped = bootROM && this.bootROM !== null;
+
+        if (this.bootROMMapped) {
+            this.io.fill(0);
+            this.io[0x00] = 0xCF; // P1 - Joypad
+            this.io[0x0F] = 0xE0; // IF - Interrupt flag
+            return;
+        }
+
         // Set initial I/O register values (after boot ROM)
         this.io[0x00] = 0xCF; // P1 - Joypad
         this.io[0x01] = 0x00; // SB - Serial transfer data
@@ -95,37 +106,48 @@ export class MMU {
         this.io[0x49] = 0xFF; // OBP1
         this.io[0x4A] = 0x00; // WY
         this.io[0x4B] = 0x00; // WX
+        this.io[0x50] = 0xFF; // BOOT - Boot ROM disabled
+    }
+
+    loadBootROM(data) {
+        if (!data) {
+            this.bootROM = null;
+            return;
+        }
+        if (data.length !== 0x100) {
+            throw new Error(`Boot ROM must be 256 bytes, got ${data.length}`);
+        }
+        this.bootROM = data;
     }
 
     loadROM(data) {
         this.rom = data;
-
-        // Detect cartridge type
-        const cartType = data[0x147];
-        if (cartType >= 0x01 && cartType <= 0x03) {
-            this.mbcType = 1; // MBC1
-        } else if (cartType >= 0x0F && cartType <= 0x13) {
-            this.mbcType = 3; // MBC3
-            this.hasRTC = (cartType === 0x0F || cartType === 0x10);
-        } else if (cartType >= 0x19 && cartType <= 0x1E) {
-            this.mbcType = 5; // MBC5
-        } else {
-            this.mbcType = 0; // ROM only
-        }
-
-        // Calculate ROM banks
-        const romSize = data[0x148];
-        this.romBanks = 2 << romSize;
-
-        // Calculate RAM size
-        const ramSize = data[0x149];
-        const ramSizes = [0, 0, 0x2000, 0x8000, 0x20000, 0x10000];
-        this.ramSize = ramSizes[ramSize] || 0;
+        this.eram.fill(0);
+        this.ramDirty = false;
+        this.resetRTC();    // A cart without a .sav starts from zero, not the last cart's clock
+
+        // Decode cartridge type, ROM and RAM size from the header
+        this.header = parseHeader(data);
+        this.mbcType = this.header.mbcType;
+        this.hasRTC = this.header.hasRTC && this.mbcType === 3;
+        this.hasBattery = this.header.hasBattery;
+        this.romBanks = this.header.romBanks;
+        this.ramSize = this.header.ramSize;
+
+        // MBC2 has 512x4-bit RAM built in; the header reports no RAM
+        if (this.mbcType === 2) {
+            this.ramSize = 0x200;
+        }
     }
 
     read(addr) {
         addr &= 0xFFFF;
 
+        // Boot ROM overlay (0x0000-0x00FF)
+        if (addr < 0x100 && this.bootROMMapped) {
+            return this.bootROM[addr];
+        }
+
         // ROM Bank 0 (0x0000-0x3FFF)
         if (addr < 0x4000) {
             if (!this.rom) return 0xFF;
@@ -145,8 +167,8 @@ export class MMU {
             if (this.mbcType === 1) {
                 // MBC1: combine RAM bank bits with ROM bank
                 bank = ((this.ramBank << 5) | this.romBank) % this.romBanks;
-            } else if (this.mbcType === 5) {
-                // MBC5: 9-bit bank number
+            } else if (this.mbcType === 2 || this.mbcType === 5) {
+                // MBC2: 4-bit bank number, MBC5: 9-bit bank number
                 bank = ((this.romBankHigh << 8) | this.romBank) % this.romBanks;
             }
             // MBC3 just uses romBank directly
@@ -175,6 +197,11 @@ export class MMU {
                 }
             }
 
+            // MBC2 built-in RAM: 512 half-bytes echoed across the whole area
+            if (this.mbcType === 2) {
+                return this.eram[addr & 0x1FF] | 0xF0;
+            }
+
             // Regular RAM access
             let ramAddr;
             if (this.mbcType === 1) {
@@ -226,6 +253,19 @@ export class MMU {
         addr &= 0xFFFF;
         value &= 0xFF;
 
+        // MBC2 control (0x0000-0x3FFF): address bit 8 selects the register
+        if (this.mbcType === 2 && addr < 0x8000) {
+            if (addr >= 0x4000) return;
+            if (addr & 0x100) {
+                // ROM Bank Number: 4 bits, 0 treated as 1
+                this.romBank = (value & 0x0F) || 1;
+            } else {
+                // RAM Enable
+                this.ramEnabled = (value & 0x0F) === 0x0A;
+            }
+            return;
+        }
+
         // MBC control registers (0x0000-0x7FFF)
         if (addr < 0x2000) {
             // RAM/RTC Enable (all MBCs)
@@ -302,12 +342,23 @@ export class MMU {
             // MBC3 RTC register write
             if (this.mbcType === 3 && this.ramBank >= 0x08 && this.ramBank <= 0x0C) {
                 switch (this.ramBank) {
-                    case 0x08: this.rtc.seconds = value & 0x3F; break;
+                    case 0x08:
+                        this.rtc.seconds = value & 0x3F;
+                        this.rtcCycles = 0; // Writing seconds resets the sub-second divider
+                        break;
                     case 0x09: this.rtc.minutes = value & 0x3F; break;
                     case 0x0A: this.rtc.hours = value & 0x1F; break;
                     case 0x0B: this.rtc.daysLow = value; break;
                     case 0x0C: this.rtc.daysHigh = value & 0xC1; break;
                 }
+                this.ramDirty = true;
+                return;
+            }
+
+            // MBC2 built-in RAM: only the lower nibble is stored
+            if (this.mbcType === 2) {
+                this.eram[addr & 0x1FF] = value & 0x0F;
+                this.ramDirty = true;
                 return;
             }
 
@@ -322,6 +373,7 @@ export class MMU {
             }
             if (ramAddr < this.eram.length) {
                 this.eram[ramAddr] = value;
+                this.ramDirty = true;
             }
             return;
         }
@@ -464,6 +516,13 @@ export class MMU {
                 this.io[reg] = value;
                 break;
 
+            case 0xFF50: // BOOT - Any non-zero write unmaps the boot ROM for good
+                if (value !== 0 && this.bootROMMapped) {
+                    this.bootROMMapped = false;
+                    this.io[reg] = 0xFF;
+                }
+                break;
+
             default:
                 // Audio registers (0xFF10-0xFF3F)
                 if (addr >= 0xFF10 && addr <= 0xFF3F) {
@@ -473,6 +532,155 @@ export class MMU {
         }
     }
 
+    // === MBC3 REAL-TIME CLOCK ===
+
+    resetRTC() {
+        this.rtcCycles = 0;      // Sub-second cycle counter
+        this.rtcEnabled = false;
+        this.rtcRegister = 0;    // Selected RTC register (0x08-0x0C)
+        this.rtcLatched = false;
+        this.rtcLatchPrepare = false;
+        this.rtc = {
+            seconds: 0,
+            minutes: 0,
+            hours: 0,
+            daysLow: 0,
+            daysHigh: 0  // bit 0 = day high bit, bit 6 = halt, bit 7 = day carry
+        };
+        this.rtcLatchedData = { ...this.rtc };
+    }
+
+    // Advance the RTC by emulated CPU cycles
+    stepRTC(cycles) {
+        if (this.rtc.daysHigh & 0x40) return; // Halted
+
+        this.rtcCycles += cycles;
+        while (this.rtcCycles >= 4194304) {
+            this.rtcCycles -= 4194304;
+            this.tickRTC();
+        }
+    }
+
+    // Advance the RTC by one second. Out-of-range values written by the game
+    // count up to the register's bit width and wrap to 0 without carrying.
+    tickRTC() {
+        const rtc = this.rtc;
+
+        rtc.seconds = (rtc.seconds + 1) & 0x3F;
+        if (rtc.seconds !== 60) return;
+        rtc.seconds = 0;
+
+        rtc.minutes = (rtc.minutes + 1) & 0x3F;
+        if (rtc.minutes !== 60) return;
+        rtc.minutes = 0;
+
+        rtc.hours = (rtc.hours + 1) & 0x1F;
+        if (rtc.hours !== 24) return;
+        rtc.hours = 0;
+
+        // 9-bit day counter, bit 7 of daysHigh is the sticky day carry
+        let days = (((rtc.daysHigh & 0x01) << 8) | rtc.daysLow) + 1;
+        if (days > 0x1FF) {
+            days = 0;
+            rtc.daysHigh |= 0x80;
+        }
+        rtc.daysLow = days & 0xFF;
+        rtc.daysHigh = (rtc.daysHigh & 0xFE) | (days >> 8);
+    }
+
+    // Advance the RTC by wall-clock seconds (e.g. time elapsed between sessions)
+    advanceRTC(seconds) {
+        const rtc = this.rtc;
+        if (seconds <= 0 || (rtc.daysHigh & 0x40)) return;
+
+        // Tick through any out-of-range values one second at a time
+        while (seconds > 0 && (rtc.seconds >= 60 || rtc.minutes >= 60 || rtc.hours >= 24)) {
+            this.tickRTC();
+            seconds--;
+        }
+        if (seconds === 0) return;
+
+        let days = ((rtc.daysHigh & 0x01) << 8) | rtc.daysLow;
+        let total = rtc.seconds + rtc.minutes * 60 + rtc.hours * 3600 + seconds;
+
+        rtc.seconds = total % 60; total = Math.floor(total / 60);
+        rtc.minutes = total % 60; total = Math.floor(total / 60);
+        rtc.hours = total % 24;
+        days += Math.floor(total / 24);
+
+        if (days > 0x1FF) {
+            days %= 0x200;
+            rtc.daysHigh |= 0x80;
+        }
+        rtc.daysLow = days & 0xFF;
+        rtc.daysHigh = (rtc.daysHigh & 0xFE) | (days >> 8);
+    }
+
+    // Encode the RTC as the 48-byte footer appended to .sav files by other
+    // emulators: current and latched registers as 32-bit LE values, followed
+    // by a 64-bit LE UNIX timestamp of when the save was written.
+    exportRTC() {
+        const data = new Uint8Array(48);
+        const view = new DataView(data.buffer);
+        const fields = ['seconds', 'minutes', 'hours', 'daysLow', 'daysHigh'];
+
+        fields.forEach((field, i) => {
+            view.setUint32(i * 4, this.rtc[field], true);
+            view.setUint32(20 + i * 4, this.rtcLatchedData[field], true);
+        });
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        view.setUint32(40, timestamp >>> 0, true);
+        view.setUint32(44, Math.floor(timestamp / 0x100000000), true);
+        return data;
+    }
+
+    // Restore the RTC from a .sav footer (48 bytes, or the older 44-byte
+    // variant with a 32-bit timestamp) and catch up with elapsed real time
+    importRTC(data) {
+        if (data.length !== 48 && data.length !== 44) {
+            throw new Error(`Invalid RTC footer length: ${data.length}`);
+        }
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const masks = { seconds: 0x3F, minutes: 0x3F, hours: 0x1F, daysLow: 0xFF, daysHigh: 0xC1 };
+
+        Object.keys(masks).forEach((field, i) => {
+            this.rtc[field] = view.getUint32(i * 4, true) & masks[field];
+            this.rtcLatchedData[field] = view.getUint32(20 + i * 4, true) & masks[field];
+        });
+        this.rtcCycles = 0;
+
+        let timestamp = view.getUint32(40, true);
+        if (data.length === 48) {
+            timestamp += view.getUint32(44, true) * 0x100000000;
+        }
+        this.advanceRTC(Math.floor(Date.now() / 1000) - timestamp);
+    }
+
+    // === CARTRIDGE SAVE DATA ===
+
+    // Raw .sav contents: cartridge RAM, followed by the RTC footer if present
+    exportSave() {
+        const ram = this.eram.subarray(0, this.ramSize);
+        if (!this.hasRTC) return ram.slice();
+
+        const data = new Uint8Array(ram.length + 48);
+        data.set(ram);
+        data.set(this.exportRTC(), ram.length);
+        return data;
+    }
+
+    // Load a raw .sav file, with or without an RTC footer
+    importSave(data) {
+        const ramLength = Math.min(this.ramSize, data.length);
+        this.eram.set(data.subarray(0, ramLength));
+
+        const footer = data.length - this.ramSize;
+        if (this.hasRTC && (footer === 48 || footer === 44)) {
+            this.importRTC(data.subarray(this.ramSize));
+        }
+    }
+
     dmaTransfer(value) {
         // DMA transfers 160 bytes from XX00-XX9F to OAM
         const source = value << 8;
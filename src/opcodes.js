@@ -9,7 +9,7 @@ const getR8 = (cpu, r) => {
         case 3: return cpu.e;
         case 4: return cpu.h;
         case 5: return cpu.l;
-        case 6: return cpu.mmu.read(cpu.hl);
+        case 6: return cpu.read(cpu.hl);
         case 7: return cpu.a;
     }
 };
@@ -22,7 +22,7 @@ const setR8 = (cpu, r, value) => {
         case 3: cpu.e = value; break;
         case 4: cpu.h = value; break;
         case 5: cpu.l = value; break;
-        case 6: cpu.mmu.write(cpu.hl, value); break;
+        case 6: cpu.write(cpu.hl, value); break;
         case 7: cpu.a = value; break;
     }
 };
@@ -36,7 +36,7 @@ export const opcodes = {
     0x01: (cpu) => { cpu.bc = cpu.fetchWord(); return 12; },
 
     // 0x02 - LD (BC), A
-    0x02: (cpu) => { cpu.mmu.write(cpu.bc, cpu.a); return 8; },
+    0x02: (cpu) => { cpu.write(cpu.bc, cpu.a); return 8; },
 
     // 0x03 - INC BC
     0x03: (cpu) => { cpu.bc = (cpu.bc + 1) & 0xFFFF; return 8; },
@@ -64,7 +64,7 @@ export const opcodes = {
     // 0x08 - LD (nn), SP
     0x08: (cpu) => {
         const addr = cpu.fetchWord();
-        cpu.mmu.write16(addr, cpu.sp);
+        cpu.write16(addr, cpu.sp);
         return 20;
     },
 
@@ -72,7 +72,7 @@ export const opcodes = {
     0x09: (cpu) => { cpu.hl = cpu.add16(cpu.hl, cpu.bc); return 8; },
 
     // 0x0A - LD A, (BC)
-    0x0A: (cpu) => { cpu.a = cpu.mmu.read(cpu.bc); return 8; },
+    0x0A: (cpu) => { cpu.a = cpu.read(cpu.bc); return 8; },
 
     // 0x0B - DEC BC
     0x0B: (cpu) => { cpu.bc = (cpu.bc - 1) & 0xFFFF; return 8; },
@@ -108,7 +108,7 @@ export const opcodes = {
     0x11: (cpu) => { cpu.de = cpu.fetchWord(); return 12; },
 
     // 0x12 - LD (DE), A
-    0x12: (cpu) => { cpu.mmu.write(cpu.de, cpu.a); return 8; },
+    0x12: (cpu) => { cpu.write(cpu.de, cpu.a); return 8; },
 
     // 0x13 - INC DE
     0x13: (cpu) => { cpu.de = (cpu.de + 1) & 0xFFFF; return 8; },
@@ -145,7 +145,7 @@ export const opcodes = {
     0x19: (cpu) => { cpu.hl = cpu.add16(cpu.hl, cpu.de); return 8; },
 
     // 0x1A - LD A, (DE)
-    0x1A: (cpu) => { cpu.a = cpu.mmu.read(cpu.de); return 8; },
+    0x1A: (cpu) => { cpu.a = cpu.read(cpu.de); return 8; },
 
     // 0x1B - DEC DE
     0x1B: (cpu) => { cpu.de = (cpu.de - 1) & 0xFFFF; return 8; },
@@ -186,7 +186,7 @@ export const opcodes = {
 
     // 0x22 - LD (HL+), A
     0x22: (cpu) => {
-        cpu.mmu.write(cpu.hl, cpu.a);
+        cpu.write(cpu.hl, cpu.a);
         cpu.hl = (cpu.hl + 1) & 0xFFFF;
         return 8;
     },
@@ -239,7 +239,7 @@ export const opcodes = {
 
     // 0x2A - LD A, (HL+)
     0x2A: (cpu) => {
-        cpu.a = cpu.mmu.read(cpu.hl);
+        cpu.a = cpu.read(cpu.hl);
         cpu.hl = (cpu.hl + 1) & 0xFFFF;
         return 8;
     },
@@ -279,7 +279,7 @@ export const opcodes = {
 
     // 0x32 - LD (HL-), A
     0x32: (cpu) => {
-        cpu.mmu.write(cpu.hl, cpu.a);
+        cpu.write(cpu.hl, cpu.a);
         cpu.hl = (cpu.hl - 1) & 0xFFFF;
         return 8;
     },
@@ -289,21 +289,21 @@ export const opcodes = {
 
     // 0x34 - INC (HL)
     0x34: (cpu) => {
-        const value = cpu.mmu.read(cpu.hl);
-        cpu.mmu.write(cpu.hl, cpu.inc8(value));
+        const value = cpu.read(cpu.hl);
+        cpu.write(cpu.hl, cpu.inc8(value));
         return 12;
     },
 
     // 0x35 - DEC (HL)
     0x35: (cpu) => {
-        const value = cpu.mmu.read(cpu.hl);
-        cpu.mmu.write(cpu.hl, cpu.dec8(value));
+        const value = cpu.read(cpu.hl);
+        cpu.write(cpu.hl, cpu.dec8(value));
         return 12;
     },
 
     // 0x36 - LD (HL), n
     0x36: (cpu) => {
-        cpu.mmu.write(cpu.hl, cpu.fetchByte());
+        cpu.write(cpu.hl, cpu.fetchByte());
         return 12;
     },
 
@@ -330,7 +330,7 @@ export const opcodes = {
 
     // 0x3A - LD A, (HL-)
     0x3A: (cpu) => {
-        cpu.a = cpu.mmu.read(cpu.hl);
+        cpu.a = cpu.read(cpu.hl);
         cpu.hl = (cpu.hl - 1) & 0xFFFF;
         return 8;
     },
@@ -666,7 +666,7 @@ export const opcodes = {
 
     // 0xE0 - LDH (n), A
     0xE0: (cpu) => {
-        cpu.mmu.write(0xFF00 + cpu.fetchByte(), cpu.a);
+        cpu.write(0xFF00 + cpu.fetchByte(), cpu.a);
         return 12;
     },
 
@@ -675,7 +675,7 @@ export const opcodes = {
 
     // 0xE2 - LD (C), A
     0xE2: (cpu) => {
-        cpu.mmu.write(0xFF00 + cpu.c, cpu.a);
+        cpu.write(0xFF00 + cpu.c, cpu.a);
         return 8;
     },
 
@@ -712,7 +712,7 @@ export const opcodes = {
 
     // 0xEA - LD (nn), A
     0xEA: (cpu) => {
-        cpu.mmu.write(cpu.fetchWord(), cpu.a);
+        cpu.write(cpu.fetchWord(), cpu.a);
         return 16;
     },
 
@@ -733,7 +733,7 @@ export const opcodes = {
 
     // 0xF0 - LDH A, (n)
     0xF0: (cpu) => {
-        cpu.a = cpu.mmu.read(0xFF00 + cpu.fetchByte());
+        cpu.a = cpu.read(0xFF00 + cpu.fetchByte());
         return 12;
     },
 
@@ -742,7 +742,7 @@ export const opcodes = {
 
     // 0xF2 - LD A, (C)
     0xF2: (cpu) => {
-        cpu.a = cpu.mmu.read(0xFF00 + cpu.c);
+        cpu.a = cpu.read(0xFF00 + cpu.c);
         return 8;
     },
 
@@ -777,7 +777,7 @@ export const opcodes = {
     0xF9: (cpu) => { cpu.sp = cpu.hl; return 8; },
 
     // 0xFA - LD A, (nn)
-    0xFA: (cpu) => { cpu.a = cpu.mmu.read(cpu.fetchWord()); return 16; },
+    0xFA: (cpu) => { cpu.a = cpu.read(cpu.fetchWord()); return 16; },
 
     // 0xFB - EI
     0xFB: (cpu) => { cpu.imeScheduled = true; return 4; },
@@ -9,6 +9,7 @@ export class PPU {
         // Use Uint32Array view on imageData for fast pixel writes
         this.imageData32 = new Uint32Array(this.imageData.data.buffer);
         this.frameBuffer = new Uint32Array(160 * 144);
+        this.skipRender = false;  // Set by the emulator to skip drawing frames (fast-forward)
 
         // Color palette (classic green) - ABGR format for Uint32Array on little-endian
         this.colors = [
@@ -21,12 +22,13 @@ export class PPU {
         this.reset();
     }
 
-    reset() {
+    // bootROM: start with the LCD off, as the boot ROM expects
+    reset(bootROM = false) {
         // LCD Control register (0xFF40)
-        this.lcdc = 0x91;
+        this.lcdc = bootROM ? 0x00 : 0x91;
 
         // LCD Status register (0xFF41)
-        this.stat = 0x85;
+        this.stat = bootROM ? 0x80 : 0x85;
 
         // Position registers
         this.scy = 0;  // Scroll Y
@@ -37,12 +39,12 @@ export class PPU {
         this.wx = 0;   // Window X
 
         // Palette registers
-        this.bgp = 0xFC;   // Background palette
+        this.bgp = bootROM ? 0x00 : 0xFC;   // Background palette
         this.obp0 = 0xFF;  // Object palette 0
         this.obp1 = 0xFF;  // Object palette 1
 
         // Internal state
-        this.mode = 2;      // Current PPU mode
+        this.mode = bootROM ? 0 : 2;      // Current PPU mode
         this.modeCycles = 0; // Cycles in current mode
         this.windowLine = 0; // Internal window line counter
 
@@ -150,7 +152,7 @@ export class PPU {
                         }
 
                         // Render frame
-                        this.renderFrame();
+                        if (!this.skipRender) this.renderFrame();
                         frameComplete = true;
                     } else {
                         this.mode = 2;
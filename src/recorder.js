@@ -0,0 +1,135 @@
+// WAV Recorder
+// Taps the APU output after mixing and the high-pass filter and keeps it as
+// 16-bit PCM. Optionally each channel is also recorded on its own stereo track
+// (stems), panned and scaled by NR50 like in the mix but ignoring the mute,
+// solo and gain controls, so the four tracks add up to the unmuted mix.
+// Doesn't need an AudioContext, so it also works in headless Node runs.
+import { BlipBuffer } from './blip.js';
+
+const BLOCK_SIZE = 0x10000;  // Samples per storage block (stereo interleaved)
+
+function toPCM(sample) {
+    return Math.max(-32768, Math.min(32767, Math.round(sample * 32767)));
+}
+
+// Stereo 16-bit samples, stored in fixed blocks so long recordings don't
+// need one huge reallocating array
+class Track {
+    constructor() {
+        this.blocks = [];
+        this.block = null;
+        this.offset = BLOCK_SIZE;
+    }
+
+    push(left, right) {
+        if (this.offset >= BLOCK_SIZE) {
+            this.block = new Int16Array(BLOCK_SIZE);
+            this.blocks.push(this.block);
+            this.offset = 0;
+        }
+        this.block[this.offset++] = toPCM(left);
+        this.block[this.offset++] = toPCM(right);
+    }
+}
+
+export class WavRecorder {
+    constructor(sampleRate, stems = false) {
+        this.sampleRate = Math.round(sampleRate);
+        this.stems = stems;
+        this.frames = 0;
+        this.mix = new Track();
+
+        if (stems) {
+            this.tracks = [new Track(), new Track(), new Track(), new Track()];
+            // Per channel side [ch1 L, ch1 R, ch2 L, ...]: band-limited synthesis
+            // state and high-pass capacitor, as the APU keeps for the mix
+            this.blips = Array.from({ length: 8 }, () => new BlipBuffer());
+            this.levels = new Float32Array(8);
+            this.capacitors = new Float32Array(8);
+        }
+    }
+
+    // Recorded length in seconds
+    get duration() {
+        return this.frames / this.sampleRate;
+    }
+
+    // Band-limited stems: channel levels changed `time` (0-1) into the current sample
+    stemChange(time, levels) {
+        for (let i = 0; i < 8; i++) {
+            if (levels[i] !== this.levels[i]) {
+                this.blips[i].addDelta(time, levels[i] - this.levels[i]);
+                this.levels[i] = levels[i];
+            }
+        }
+    }
+
+    clearStems() {
+        if (!this.stems) return;
+        for (const blip of this.blips) blip.clear();
+        this.levels.fill(0);
+    }
+
+    // Add one output sample. `levels` are the point-sampled channel levels, or
+    // null to read the band-limited stems. `charge` is the high-pass capacitor
+    // factor for one sample (1 when the filter is off).
+    addSample(left, right, levels, charge) {
+        this.mix.push(left, right);
+        this.frames++;
+        if (!this.stems) return;
+
+        const out = [0, 0];
+        for (let i = 0; i < 8; i++) {
+            const level = levels ? levels[i] : this.blips[i].readSample();
+            out[i & 1] = level - this.capacitors[i];
+            this.capacitors[i] = level - out[i & 1] * charge;
+            if (i & 1) {
+                this.tracks[i >> 1].push(out[0], out[1]);
+            }
+        }
+    }
+
+    // WAV file of the mix (channel 0), or of channel 1-4 when recorded with stems
+    toWav(channel = 0) {
+        if (channel !== 0 && !this.stems) {
+            throw new Error('Recording has no channel tracks');
+        }
+        const track = channel === 0 ? this.mix : this.tracks[channel - 1];
+        if (!track) {
+            throw new Error('Channel must be 1-4');
+        }
+
+        const dataSize = this.frames * 4;
+        const bytes = new Uint8Array(44 + dataSize);
+        const view = new DataView(bytes.buffer);
+        const writeId = (offset, id) => {
+            for (let i = 0; i < 4; i++) bytes[offset + i] = id.charCodeAt(i);
+        };
+
+        writeId(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeId(8, 'WAVE');
+        writeId(12, 'fmt ');
+        view.setUint32(16, 16, true);                      // fmt chunk size
+        view.setUint16(20, 1, true);                       // PCM
+        view.setUint16(22, 2, true);                       // Stereo
+        view.setUint32(24, this.sampleRate, true);
+        view.setUint32(28, this.sampleRate * 4, true);     // Bytes per second
+        view.setUint16(32, 4, true);                       // Bytes per frame
+        view.setUint16(34, 16, true);                      // Bits per sample
+        writeId(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        let remaining = this.frames * 2;
+        for (const block of track.blocks) {
+            const count = Math.min(block.length, remaining);
+            for (let i = 0; i < count; i++) {
+                view.setInt16(offset, block[i], true);
+                offset += 2;
+            }
+            remaining -= count;
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,120 @@
+// Rewind Buffer
+// Bounded history of in-memory save states. The newest snapshot keeps its memory
+// whole; every older one is stored as an RLE-compressed XOR delta against the
+// snapshot after it, so memory that didn't change costs almost nothing.
+// Dropping the oldest entry never breaks the chain, since deltas point forward.
+import { compressRLE, decompressRLE } from './savestate.js';
+
+// Memory sections packed into one buffer per snapshot, followed by the
+// thumbnail so the screen can be shown while rewinding
+const SECTIONS = [
+    ['vram', 0x2000], ['wram', 0x2000], ['oam', 0xA0],
+    ['hram', 0x7F], ['io', 0x80], ['eram', 0x20000]
+];
+
+// Rough size of the component state (CPU, PPU, APU...) kept with each entry
+const ENTRY_OVERHEAD = 2048;
+
+function xorBytes(a, b) {
+    const result = new Uint8Array(a.length);
+    for (let i = 0; i < a.length; i++) {
+        result[i] = a[i] ^ b[i];
+    }
+    return result;
+}
+
+export class RewindBuffer {
+    constructor(budget = 32 * 1024 * 1024) {
+        this.budget = budget;   // Max bytes of snapshot data to keep
+        this.entries = [];      // Oldest first: { state, delta }
+        this.newest = null;     // Packed memory of the newest entry
+        this.size = 0;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    clear() {
+        this.entries = [];
+        this.newest = null;
+        this.size = 0;
+    }
+
+    setBudget(budget) {
+        this.budget = budget;
+        this._trim();
+    }
+
+    // Add a snapshot (a state from Emulator.saveState() with a thumbnail)
+    push(state) {
+        const { mem, thumbnail, ...rest } = state;
+        const data = this._pack(mem, thumbnail);
+
+        if (this.newest) {
+            // The previous snapshot becomes a delta against this one
+            const prev = this.entries[this.entries.length - 1];
+            prev.delta = compressRLE(xorBytes(this.newest, data));
+            this.size += prev.delta.length - this.newest.length;
+        }
+
+        this.entries.push({ state: { ...rest, ie: mem.ie }, delta: null });
+        this.newest = data;
+        this.size += data.length + ENTRY_OVERHEAD;
+        this._trim();
+    }
+
+    // Remove and return the newest snapshot, or null if there is none
+    pop() {
+        const entry = this.entries.pop();
+        if (!entry) return null;
+
+        const data = this.newest;
+        this.size -= data.length + ENTRY_OVERHEAD;
+
+        // Rebuild the previous snapshot's memory from its delta
+        const prev = this.entries[this.entries.length - 1];
+        if (prev) {
+            this.newest = xorBytes(data, decompressRLE(prev.delta, data.length));
+            this.size += this.newest.length - prev.delta.length;
+            prev.delta = null;
+        } else {
+            this.newest = null;
+        }
+
+        return this._unpack(entry.state, data);
+    }
+
+    // Drop the oldest snapshots until we're within budget (always keep one)
+    _trim() {
+        while (this.size > this.budget && this.entries.length > 1) {
+            const oldest = this.entries.shift();
+            this.size -= oldest.delta.length + ENTRY_OVERHEAD;
+        }
+    }
+
+    _pack(mem, thumbnail) {
+        const parts = SECTIONS.map(([name]) => mem[name]);
+        if (thumbnail) parts.push(thumbnail);
+
+        const data = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            data.set(part, offset);
+            offset += part.length;
+        }
+        return data;
+    }
+
+    _unpack(entryState, data) {
+        const { ie, ...state } = entryState;
+        const mem = { ie };
+        let offset = 0;
+        for (const [name, size] of SECTIONS) {
+            mem[name] = data.subarray(offset, offset + size);
+            offset += size;
+        }
+        const thumbnail = offset < data.length ? data.subarray(offset) : null;
+        return { ...state, mem, thumbnail };
+    }
+}
@@ -0,0 +1,263 @@
+// Save State Container
+// Binary format (little endian):
+//   0  'GBSS' magic
+//   4  u16 state version
+//   6  u16 chunk count
+//   8  u32 ROM CRC32
+//   12 f64 timestamp (ms since epoch)
+//   20 chunks: 4-char id, u32 length, payload
+// Component sections are stored as JSON, memory sections and the optional
+// thumbnail as RLE bytes.
+// Unknown chunks are skipped so newer sections don't break older readers.
+
+export const STATE_VERSION = 3;
+
+const MAGIC = 'GBSS';
+const HEADER_SIZE = 20;
+
+// Chunk id -> state property
+const jsonChunks = {
+    'META': 'meta',
+    'CPU ': 'cpu',
+    'PPU ': 'ppu',
+    'TIMR': 'timer',
+    'MBC ': 'mbc',
+    'APU ': 'apu',
+    'INPT': 'input'
+};
+
+// Chunk id -> state.mem property, with uncompressed size
+const memoryChunks = {
+    'VRAM': ['vram', 0x2000],
+    'WRAM': ['wram', 0x2000],
+    'OAM ': ['oam', 0xA0],
+    'HRAM': ['hram', 0x7F],
+    'IO  ': ['io', 0x80],
+    'ERAM': ['eram', 0x20000]
+};
+
+// Optional screenshot: 160x144 shade indices (0-3), drawn with the current palette
+const THUMBNAIL_SIZE = 160 * 144;
+
+// === ENCODING HELPERS ===
+
+// RLE compress a Uint8Array: runs become [255, count, value]
+export function compressRLE(data) {
+    const result = [];
+    let i = 0;
+    while (i < data.length) {
+        const value = data[i];
+        let count = 1;
+        while (i + count < data.length && data[i + count] === value && count < 255) {
+            count++;
+        }
+        if (count > 2 || value === 255) {
+            result.push(255, count, value);
+        } else {
+            for (let j = 0; j < count; j++) {
+                result.push(value);
+            }
+        }
+        i += count;
+    }
+    return new Uint8Array(result);
+}
+
+export function decompressRLE(compressed, expectedLength) {
+    const result = new Uint8Array(expectedLength);
+    let srcIdx = 0, dstIdx = 0;
+    while (srcIdx < compressed.length && dstIdx < expectedLength) {
+        if (compressed[srcIdx] === 255) {
+            const count = compressed[srcIdx + 1];
+            const value = compressed[srcIdx + 2];
+            for (let j = 0; j < count && dstIdx < expectedLength; j++) {
+                result[dstIdx++] = value;
+            }
+            srcIdx += 3;
+        } else {
+            result[dstIdx++] = compressed[srcIdx++];
+        }
+    }
+    return result;
+}
+
+// Base64 in chunks (spreading large arrays into fromCharCode overflows the stack)
+export function bytesToBase64(data) {
+    let binary = '';
+    for (let i = 0; i < data.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(b64) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// === MIGRATIONS ===
+
+// Each migration upgrades a state object from version N to N + 1
+const migrations = {
+    // v1 -> v2: APU, joypad and full RTC state were added. There is nothing to
+    // recover them from, so they are left null and rebuilt from I/O on load.
+    1: (state) => ({
+        ...state,
+        version: 2,
+        mbc: {
+            ...state.mbc,
+            rtcLatchedData: state.mbc.rtc ? { ...state.mbc.rtc } : undefined,
+            rtcLatchPrepare: false,
+            rtcRegister: 0,
+            rtcCycles: 0,
+            bootROMMapped: false
+        },
+        apu: null,
+        input: null
+    }),
+
+    // v2 -> v3: memory moved from base64 RLE strings to raw byte arrays
+    2: (state) => {
+        const mem = { ie: state.mem.ie };
+        for (const [name, size] of Object.values(memoryChunks)) {
+            mem[name] = state.mem[name]
+                ? decompressRLE(base64ToBytes(state.mem[name]), size)
+                : new Uint8Array(size);
+        }
+        return { ...state, version: 3, mem };
+    }
+};
+
+// Upgrade a state object to STATE_VERSION
+export function migrateState(state) {
+    if (!state || typeof state.version !== 'number') {
+        throw new Error('Invalid save state');
+    }
+    if (state.version > STATE_VERSION) {
+        throw new Error(`Save state version ${state.version} is newer than supported (${STATE_VERSION})`);
+    }
+    while (state.version < STATE_VERSION) {
+        const migrate = migrations[state.version];
+        if (!migrate) {
+            throw new Error(`Unsupported save state version ${state.version}`);
+        }
+        state = migrate(state);
+    }
+    return state;
+}
+
+// === BINARY FORMAT ===
+
+export function encodeState(state) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+
+    const meta = { rom: state.rom };
+    for (const [id, key] of Object.entries(jsonChunks)) {
+        const value = key === 'meta' ? meta : state[key];
+        if (value != null) {
+            chunks.push([id, encoder.encode(JSON.stringify(value))]);
+        }
+    }
+    for (const [id, [name]] of Object.entries(memoryChunks)) {
+        chunks.push([id, compressRLE(state.mem[name])]);
+    }
+    chunks.push(['IE  ', new Uint8Array([state.mem.ie])]);
+    if (state.thumbnail) {
+        chunks.push(['THMB', compressRLE(state.thumbnail)]);
+    }
+
+    const size = chunks.reduce((total, [, data]) => total + 8 + data.length, HEADER_SIZE);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < 4; i++) bytes[i] = MAGIC.charCodeAt(i);
+    view.setUint16(4, state.version, true);
+    view.setUint16(6, chunks.length, true);
+    view.setUint32(8, parseInt(state.romHash, 16) >>> 0, true);
+    view.setFloat64(12, state.timestamp, true);
+
+    let offset = HEADER_SIZE;
+    for (const [id, data] of chunks) {
+        for (let i = 0; i < 4; i++) bytes[offset + i] = id.charCodeAt(i);
+        view.setUint32(offset + 4, data.length, true);
+        bytes.set(data, offset + 8);
+        offset += 8 + data.length;
+    }
+    return bytes;
+}
+
+export function decodeState(bytes) {
+    if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+        throw new Error('Not a save state file');
+    }
+
+    const decoder = new TextDecoder();
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const state = {
+        version: view.getUint16(4, true),
+        timestamp: view.getFloat64(12, true),
+        romHash: view.getUint32(8, true).toString(16).padStart(8, '0'),
+        mem: {}
+    };
+    const chunkCount = view.getUint16(6, true);
+
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < chunkCount; i++) {
+        if (offset + 8 > bytes.length) {
+            throw new Error('Save state is truncated');
+        }
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const length = view.getUint32(offset + 4, true);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error('Save state is truncated');
+        }
+        offset += 8 + length;
+
+        if (jsonChunks[id]) {
+            state[jsonChunks[id]] = JSON.parse(decoder.decode(data));
+        } else if (memoryChunks[id]) {
+            const [name, size] = memoryChunks[id];
+            state.mem[name] = decompressRLE(data, size);
+        } else if (id === 'IE  ') {
+            state.mem.ie = data[0];
+        } else if (id === 'THMB') {
+            state.thumbnail = decompressRLE(data, THUMBNAIL_SIZE);
+        }
+    }
+
+    state.rom = state.meta ? state.meta.rom : 'unknown';
+    delete state.meta;
+    return state;
+}
+
+// === JSON FORMAT (debug export) ===
+
+// Memory is written as plain base64 so the sections stay human-inspectable
+export function stateToJSON(state) {
+    const mem = { ie: state.mem.ie };
+    for (const [name] of Object.values(memoryChunks)) {
+        mem[name] = bytesToBase64(state.mem[name]);
+    }
+    const thumbnail = state.thumbnail ? bytesToBase64(state.thumbnail) : undefined;
+    return JSON.stringify({ ...state, mem, thumbnail }, null, 2);
+}
+
+// Parse a JSON state, either a debug export or a legacy (v1/v2) save
+export function parseStateJSON(json) {
+    const state = JSON.parse(json);
+    if (state.version >= 3) {
+        for (const [name] of Object.values(memoryChunks)) {
+            state.mem[name] = base64ToBytes(state.mem[name]);
+        }
+        if (state.thumbnail) {
+            state.thumbnail = base64ToBytes(state.thumbnail);
+        }
+    }
+    return state;
+}
@@ -0,0 +1,144 @@
+// VGM Logger
+// Records writes to the sound registers (0xFF10-0xFF3F, wave RAM included) as
+// a VGM 1.61 file using the Game Boy DMG chip command (0xB3 reg value, reg
+// counted from 0xFF10), for VGM players and soundtrack archives.
+// Time is counted in emulated CPU cycles, so speed changes and pauses don't
+// affect the log. Waits are in 44.1kHz samples, as the format requires.
+
+const DMG_CLOCK = 4194304;
+const VGM_RATE = 44100;
+const VGM_VERSION = 0x161;      // First version with the Game Boy DMG chip
+const HEADER_SIZE = 0x100;
+
+// Trigger register of each channel -> APU channel
+const TRIGGERS = new Map([[0xFF14, 'ch1'], [0xFF19, 'ch2'], [0xFF1E, 'ch3'], [0xFF23, 'ch4']]);
+
+export class VgmLogger {
+    // tags: GD3 metadata { track, game, system, author, date, ripper, notes }
+    constructor(tags = {}) {
+        this.tags = tags;
+        this.cycles = 0;        // CPU cycles since logging started
+        this.samples = 0;       // Samples already waited for in the data
+        this.data = [];
+        this.loopOffset = -1;   // Data offset of the loop point, if marked
+        this.loopSample = 0;
+    }
+
+    // Advance the log's clock by emulated CPU cycles
+    advance(cycles) {
+        this.cycles += cycles;
+    }
+
+    // Log a sound register write
+    write(addr, value) {
+        this._wait();
+        this.data.push(0xB3, addr - 0xFF10, value);
+    }
+
+    // Log writes that bring a player's chip to the APU's current state: the
+    // register values the APU holds (see APU.registerValues), with channels
+    // that are playing retriggered. Used when logging starts and after a state
+    // load or reset.
+    writeState(apu) {
+        this.write(0xFF26, apu.masterEnable ? 0x80 : 0x00);
+        // Wave RAM can only be written reliably with channel 3 off
+        this.write(0xFF1A, 0x00);
+        for (let addr = 0xFF30; addr <= 0xFF3F; addr++) {
+            this.write(addr, apu.waveRam[addr - 0xFF30]);
+        }
+        for (const [addr, value] of apu.registerValues()) {
+            const channel = TRIGGERS.get(addr);
+            this.write(addr, channel && apu[channel].enabled ? value | 0x80 : value);
+        }
+    }
+
+    // Mark the current position as the loop point (players jump back here at the end)
+    markLoop() {
+        this._wait();
+        this.loopOffset = this.data.length;
+        this.loopSample = this.samples;
+    }
+
+    get duration() {
+        return this.cycles / DMG_CLOCK;
+    }
+
+    // Emit waits up to the current time
+    _wait() {
+        let wait = Math.floor(this.cycles * VGM_RATE / DMG_CLOCK) - this.samples;
+        this.samples += wait;
+        while (wait > 0) {
+            if (wait === 735) {
+                this.data.push(0x62);               // 1/60 s
+                wait = 0;
+            } else if (wait === 882) {
+                this.data.push(0x63);               // 1/50 s
+                wait = 0;
+            } else if (wait <= 16) {
+                this.data.push(0x70 + wait - 1);
+                wait = 0;
+            } else {
+                const n = Math.min(wait, 0xFFFF);
+                this.data.push(0x61, n & 0xFF, n >> 8);
+                wait -= n;
+            }
+        }
+    }
+
+    // Finish the log and return the .vgm file
+    toVgm() {
+        this._wait();
+        const data = [...this.data, 0x66];          // End of sound data
+
+        const gd3 = this._encodeGD3();
+        const size = HEADER_SIZE + data.length + gd3.length;
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set([0x56, 0x67, 0x6D, 0x20]);        // 'Vgm '
+        view.setUint32(0x04, size - 0x04, true);    // EOF offset
+        view.setUint32(0x08, VGM_VERSION, true);
+        view.setUint32(0x14, HEADER_SIZE + data.length - 0x14, true);   // GD3 offset
+        view.setUint32(0x18, this.samples, true);   // Total samples
+        if (this.loopOffset >= 0) {
+            view.setUint32(0x1C, HEADER_SIZE + this.loopOffset - 0x1C, true);
+            view.setUint32(0x20, this.samples - this.loopSample, true);
+        }
+        view.setUint32(0x34, HEADER_SIZE - 0x34, true);                 // Data offset
+        view.setUint32(0x80, DMG_CLOCK, true);      // Game Boy DMG clock
+
+        bytes.set(data, HEADER_SIZE);
+        bytes.set(gd3, HEADER_SIZE + data.length);
+        return bytes;
+    }
+
+    // GD3 tag block: English and Japanese names, each a NUL-terminated UTF-16LE string
+    _encodeGD3() {
+        const tags = this.tags;
+        const strings = [
+            tags.track || '', '',
+            tags.game || '', '',
+            tags.system || 'Nintendo Game Boy', '',
+            tags.author || '', '',
+            tags.date || '',
+            tags.ripper || '',
+            tags.notes || ''
+        ];
+        const length = strings.reduce((total, s) => total + (s.length + 1) * 2, 0);
+        const bytes = new Uint8Array(12 + length);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set([0x47, 0x64, 0x33, 0x20]);        // 'Gd3 '
+        view.setUint32(4, 0x100, true);             // GD3 version 1.00
+        view.setUint32(8, length, true);
+        let offset = 12;
+        for (const s of strings) {
+            for (let i = 0; i < s.length; i++) {
+                view.setUint16(offset, s.charCodeAt(i), true);
+                offset += 2;
+            }
+            offset += 2;
+        }
+        return bytes;
+    }
+}
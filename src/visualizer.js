@@ -0,0 +1,256 @@
+// Audio Visualizer
+// Keeps the last few thousand output samples of each channel (the 0-15 levels
+// the channels produce, before the DAC and mixer) and of the final mix, and
+// draws them on a canvas: a triggered oscilloscope per channel with the note
+// it is playing, a spectrum of the mix, and the contents of wave RAM.
+// Capturing doesn't touch the DOM; only draw() needs a 2D context.
+
+const HISTORY = 4096;       // Samples kept per channel (power of 2)
+const SCOPE_WINDOW = 256;   // Samples shown per scope (~6 ms at 44.1kHz)
+const FFT_SIZE = 2048;
+const SPECTRUM_BARS = 96;
+const MIN_FREQ = 30;        // Spectrum range in Hz (log scale)
+const MAX_FREQ = 16000;
+const MIN_DB = -90;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const CHANNEL_NAMES = ['Pulse 1', 'Pulse 2', 'Wave', 'Noise'];
+
+const COLORS = {
+    background: '#0f380f',
+    grid: '#306230',
+    line: '#9bbc0f',
+    text: '#9bbc0f',
+    highlight: '#e0f8d0'
+};
+
+// Layout in canvas pixels
+const SCOPE_HEIGHT = 56;
+const SPECTRUM_HEIGHT = 100;
+const WAVE_HEIGHT = 64;
+const GAP = 8;
+export const VISUALIZER_HEIGHT = 4 * (SCOPE_HEIGHT + GAP) + SPECTRUM_HEIGHT + GAP + WAVE_HEIGHT;
+
+// Nearest note to a frequency with its offset in cents, e.g. 'A4', 'C#5 -12'
+export function noteName(frequency) {
+    if (!(frequency > 0)) return '-';
+    const midi = 69 + 12 * Math.log2(frequency / 440);
+    const note = Math.round(midi);
+    const cents = Math.round((midi - note) * 100);
+    const name = NOTE_NAMES[((note % 12) + 12) % 12] + (Math.floor(note / 12) - 1);
+    return cents === 0 ? name : `${name} ${cents > 0 ? '+' : ''}${cents}`;
+}
+
+// Pitch of channel 1-4 in Hz from its frequency register, or 0 when it isn't
+// playing. Noise only has a pitch in 7-bit mode, where the LFSR repeats every
+// 127 clocks; in 15-bit mode this is 0 (see noiseRate).
+export function channelFrequency(apu, channel) {
+    switch (channel) {
+        case 1: return apu.ch1.enabled ? 131072 / (2048 - apu.ch1.frequency) : 0;
+        case 2: return apu.ch2.enabled ? 131072 / (2048 - apu.ch2.frequency) : 0;
+        case 3: return apu.ch3.enabled ? 65536 / (2048 - apu.ch3.frequency) : 0;
+        case 4: return apu.ch4.enabled && apu.ch4.widthMode ? noiseRate(apu) / 127 : 0;
+        default: throw new Error('Channel must be 1-4');
+    }
+}
+
+// Channel 4 LFSR clock rate in Hz
+export function noiseRate(apu) {
+    return 4194304 / (apu.noiseDivisors[apu.ch4.divisorCode] << apu.ch4.clockShift);
+}
+
+export class AudioVisualizer {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.channels = Array.from({ length: 4 }, () => new Float32Array(HISTORY));
+        this.mix = new Float32Array(HISTORY);
+        this.position = 0;      // Next write index in the history rings
+
+        // FFT work buffers, Hann window and bit-reversal table
+        this.real = new Float32Array(FFT_SIZE);
+        this.imag = new Float32Array(FFT_SIZE);
+        this.window = new Float32Array(FFT_SIZE);
+        this.reversed = new Uint16Array(FFT_SIZE);
+        const bits = Math.log2(FFT_SIZE);
+        for (let i = 0; i < FFT_SIZE; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));
+            let r = 0;
+            for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+            this.reversed[i] = r;
+        }
+        this.spectrum = new Float32Array(SPECTRUM_BARS);
+    }
+
+    // Called by the APU once per output sample with the filtered mix
+    addSample(apu, left, right) {
+        const i = this.position;
+        this.channels[0][i] = apu.ch1.output;
+        this.channels[1][i] = apu.ch2.output;
+        this.channels[2][i] = apu.ch3.output;
+        this.channels[3][i] = apu.ch4.output;
+        this.mix[i] = (left + right) / 2;
+        this.position = (i + 1) & (HISTORY - 1);
+    }
+
+    // Start of the scope window for a channel: the last rising edge through the
+    // middle of its range, so a steady tone stands still between frames
+    _triggerPoint(samples) {
+        const newest = this.position - SCOPE_WINDOW;
+        let min = 15;
+        let max = 0;
+        for (let n = 0; n < HISTORY - SCOPE_WINDOW; n++) {
+            const value = samples[(newest - n) & (HISTORY - 1)];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (max === min) return newest;
+
+        const middle = (min + max) / 2;
+        for (let n = 0; n < HISTORY - SCOPE_WINDOW - 1; n++) {
+            const index = newest - n;
+            if (samples[(index - 1) & (HISTORY - 1)] < middle && samples[index & (HISTORY - 1)] >= middle) {
+                return index;
+            }
+        }
+        return newest;
+    }
+
+    // Magnitude of the mix in SPECTRUM_BARS log-spaced bands, in dB
+    _computeSpectrum() {
+        const real = this.real;
+        const imag = this.imag;
+        const start = this.position - FFT_SIZE;
+        for (let i = 0; i < FFT_SIZE; i++) {
+            real[this.reversed[i]] = this.mix[(start + i) & (HISTORY - 1)] * this.window[i];
+            imag[i] = 0;
+        }
+
+        // Iterative radix-2 FFT
+        for (let size = 2; size <= FFT_SIZE; size *= 2) {
+            const half = size / 2;
+            const step = -2 * Math.PI / size;
+            for (let base = 0; base < FFT_SIZE; base += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = Math.cos(step * k);
+                    const sin = Math.sin(step * k);
+                    const a = base + k;
+                    const b = a + half;
+                    const tr = real[b] * cos - imag[b] * sin;
+                    const ti = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        const binWidth = this.sampleRate / FFT_SIZE;
+        const ratio = Math.log(MAX_FREQ / MIN_FREQ);
+        for (let bar = 0; bar < SPECTRUM_BARS; bar++) {
+            const low = Math.floor(MIN_FREQ * Math.exp(ratio * bar / SPECTRUM_BARS) / binWidth);
+            const high = Math.max(low + 1, Math.floor(MIN_FREQ * Math.exp(ratio * (bar + 1) / SPECTRUM_BARS) / binWidth));
+            let peak = 0;
+            for (let bin = low; bin < high && bin < FFT_SIZE / 2; bin++) {
+                peak = Math.max(peak, Math.hypot(real[bin], imag[bin]));
+            }
+            // Full-scale sine (amplitude 1) peaks at FFT_SIZE / 4 with the Hann window
+            this.spectrum[bar] = 20 * Math.log10(peak / (FFT_SIZE / 4) + 1e-9);
+        }
+        return this.spectrum;
+    }
+
+    // Draw everything into a 2D context, top to bottom
+    draw(ctx, apu) {
+        const width = ctx.canvas.width;
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, width, VISUALIZER_HEIGHT);
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'top';
+
+        let y = 0;
+        for (let i = 0; i < 4; i++) {
+            this._drawScope(ctx, i, apu, y, width);
+            y += SCOPE_HEIGHT + GAP;
+        }
+        this._drawSpectrum(ctx, y, width);
+        y += SPECTRUM_HEIGHT + GAP;
+        this._drawWaveRam(ctx, apu, y, width);
+    }
+
+    _drawScope(ctx, index, apu, top, width) {
+        const samples = this.channels[index];
+        const start = this._triggerPoint(samples);
+
+        ctx.strokeStyle = COLORS.grid;
+        ctx.strokeRect(0.5, top + 0.5, width - 1, SCOPE_HEIGHT - 1);
+
+        ctx.strokeStyle = COLORS.line;
+        ctx.beginPath();
+        for (let n = 0; n < SCOPE_WINDOW; n++) {
+            const x = n * width / (SCOPE_WINDOW - 1);
+            const value = samples[(start + n) & (HISTORY - 1)];
+            const y = top + SCOPE_HEIGHT - 4 - value / 15 * (SCOPE_HEIGHT - 8);
+            if (n === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        const frequency = channelFrequency(apu, index + 1);
+        let label = `${CHANNEL_NAMES[index]}  ${noteName(frequency)}`;
+        if (frequency > 0) {
+            label += `  ${frequency.toFixed(1)} Hz`;
+        } else if (index === 3 && apu.ch4.enabled) {
+            label += `  ${Math.round(noiseRate(apu))} Hz clock`;
+        }
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(label, 4, top + 3);
+    }
+
+    _drawSpectrum(ctx, top, width) {
+        const spectrum = this._computeSpectrum();
+
+        ctx.strokeStyle = COLORS.grid;
+        ctx.strokeRect(0.5, top + 0.5, width - 1, SPECTRUM_HEIGHT - 1);
+
+        const barWidth = width / SPECTRUM_BARS;
+        ctx.fillStyle = COLORS.line;
+        for (let bar = 0; bar < SPECTRUM_BARS; bar++) {
+            const level = Math.max(0, Math.min(1, (spectrum[bar] - MIN_DB) / -MIN_DB));
+            const height = level * (SPECTRUM_HEIGHT - 2);
+            ctx.fillRect(bar * barWidth + 1, top + SPECTRUM_HEIGHT - 1 - height, barWidth - 1, height);
+        }
+
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(`Mix spectrum  ${MIN_FREQ} Hz - ${MAX_FREQ / 1000} kHz`, 4, top + 3);
+    }
+
+    // The 32 4-bit samples in wave RAM as a stepped waveform, with the
+    // position channel 3 is playing marked
+    _drawWaveRam(ctx, apu, top, width) {
+        ctx.strokeStyle = COLORS.grid;
+        ctx.strokeRect(0.5, top + 0.5, width - 1, WAVE_HEIGHT - 1);
+
+        const step = width / 32;
+        if (apu.ch3.enabled) {
+            ctx.fillStyle = COLORS.grid;
+            ctx.fillRect(apu.ch3.wavePos * step, top + 1, step, WAVE_HEIGHT - 2);
+        }
+
+        ctx.strokeStyle = COLORS.highlight;
+        ctx.beginPath();
+        for (let i = 0; i < 32; i++) {
+            const byte = apu.waveRam[i >> 1];
+            const sample = (i & 1) ? byte & 0x0F : byte >> 4;
+            const y = top + WAVE_HEIGHT - 16 - sample / 15 * (WAVE_HEIGHT - 22);
+            if (i === 0) ctx.moveTo(0, y);
+            else ctx.lineTo(i * step, y);
+            ctx.lineTo((i + 1) * step, y);
+        }
+        ctx.stroke();
+
+        const hex = Array.from(apu.waveRam, (byte) => byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(`Wave RAM  ${hex}`, 4, top + WAVE_HEIGHT - 13);
+    }
+}
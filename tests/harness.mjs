@@ -0,0 +1,20 @@
+// Minimal test runner shared by the ROM-free tests
+// Usage: test('name', () => { ... }) for each case, then done() at the end
+
+let failures = 0;
+
+export function test(name, fn) {
+    try {
+        fn();
+        console.log(`  ok    ${name}`);
+    } catch (err) {
+        failures++;
+        console.log(`  FAIL  ${name}\n        ${err.message}`);
+    }
+}
+
+// Print the summary and exit non-zero if anything failed
+export function done() {
+    console.log(failures ? `\n${failures} failed` : '\nAll passed');
+    process.exit(failures ? 1 : 0);
+}
@@ -0,0 +1,283 @@
+// Test APU register read-back masks, NR52 power control, wave RAM access
+// quirks and length/sweep/envelope edge cases (no ROM needed)
+// Run: node test-apu-registers.mjs
+import assert from 'assert/strict';
+import { APU } from '../src/apu.js';
+import { test, done } from './harness.mjs';
+
+// Bits that always read as 1 (DMG), for 0xFF10-0xFF2F
+const READ_MASKS = [
+    0x80, 0x3F, 0x00, 0xFF, 0xBF,   // NR10-NR14
+    0xFF, 0x3F, 0x00, 0xFF, 0xBF,   // unused, NR21-NR24
+    0x7F, 0xFF, 0x9F, 0xFF, 0xBF,   // NR30-NR34
+    0xFF, 0xFF, 0x00, 0x00, 0xBF,   // unused, NR41-NR44
+    0x00, 0x00, 0x70,               // NR50-NR52
+    0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF   // unused 0xFF27-0xFF2F
+];
+
+const hex = (value) => '0x' + value.toString(16).toUpperCase().padStart(2, '0');
+
+function poweredOn() {
+    const apu = new APU();
+    apu.reset();
+    return apu;
+}
+
+// Run the APU for a number of frame sequencer steps (512 Hz)
+function runSteps(apu, steps) {
+    for (let i = 0; i < steps * 2048; i++) apu.step(4);
+}
+
+console.log('APU registers');
+
+test('writing 0x00 reads back the OR mask', () => {
+    const apu = poweredOn();
+    for (let addr = 0xFF10; addr <= 0xFF2F; addr++) {
+        if (addr === 0xFF26) continue;
+        apu.writeRegister(addr, 0x00);
+        assert.equal(hex(apu.readRegister(addr)), hex(READ_MASKS[addr - 0xFF10]), `read ${hex(addr & 0xFF)}`);
+    }
+});
+
+test('writing 0xFF reads back 0xFF', () => {
+    const apu = poweredOn();
+    for (let addr = 0xFF10; addr <= 0xFF2F; addr++) {
+        if (addr === 0xFF26) continue;
+        apu.writeRegister(addr, 0xFF);
+        assert.equal(hex(apu.readRegister(addr)), '0xFF', `read ${hex(addr & 0xFF)}`);
+    }
+});
+
+test('NR52 channel bits are read-only', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF26, 0x80);
+    apu.writeRegister(0xFF12, 0x00);    // Channel 1 DAC off, stopping it
+    apu.writeRegister(0xFF26, 0x8F);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xF0');
+});
+
+test('NR52 reflects live channel status', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF12, 0x00);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xF0');
+
+    apu.writeRegister(0xFF12, 0xF0); apu.writeRegister(0xFF14, 0x80);
+    apu.writeRegister(0xFF17, 0xF0); apu.writeRegister(0xFF19, 0x80);
+    apu.writeRegister(0xFF1A, 0x80); apu.writeRegister(0xFF1E, 0x80);
+    apu.writeRegister(0xFF21, 0xF0); apu.writeRegister(0xFF23, 0x80);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xFF');
+
+    // DAC off stops a channel
+    apu.writeRegister(0xFF1A, 0x00);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xFB');
+
+    // Length expiry stops a channel
+    apu.writeRegister(0xFF16, 0x3F);    // Length 1
+    apu.writeRegister(0xFF19, 0xC0);    // Retrigger with length enabled
+    runSteps(apu, 2);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xF9');
+});
+
+test('power off clears every register and stops the channels', () => {
+    const apu = poweredOn();
+    for (let addr = 0xFF10; addr <= 0xFF25; addr++) apu.writeRegister(addr, 0xFF);
+    apu.writeRegister(0xFF26, 0x00);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0x70');
+    for (let addr = 0xFF10; addr <= 0xFF2F; addr++) {
+        if (addr === 0xFF26) continue;
+        assert.equal(hex(apu.readRegister(addr)), hex(READ_MASKS[addr - 0xFF10]), `read ${hex(addr & 0xFF)}`);
+    }
+});
+
+test('writes are ignored while powered off', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF26, 0x00);
+    apu.writeRegister(0xFF12, 0xF0);
+    apu.writeRegister(0xFF14, 0x80);
+    apu.writeRegister(0xFF24, 0x77);
+    apu.writeRegister(0xFF25, 0xFF);
+    apu.writeRegister(0xFF11, 0xC0);    // Duty is ignored
+    assert.equal(hex(apu.readRegister(0xFF12)), '0x00');
+    assert.equal(hex(apu.readRegister(0xFF24)), '0x00');
+    assert.equal(hex(apu.readRegister(0xFF25)), '0x00');
+    assert.equal(hex(apu.readRegister(0xFF11)), '0x3F');
+    assert.equal(hex(apu.readRegister(0xFF26)), '0x70');
+
+    // Registers stay cleared after powering back on
+    apu.writeRegister(0xFF26, 0x80);
+    assert.equal(hex(apu.readRegister(0xFF12)), '0x00');
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xF0');
+});
+
+test('length counters survive power off and can be written while off (DMG)', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF20, 0x30);    // Channel 4 length 16
+    apu.writeRegister(0xFF26, 0x00);
+    assert.equal(apu.ch4.lengthCounter, 16);
+    apu.writeRegister(0xFF16, 0xFE);    // Channel 2 length 2, duty bits dropped
+    assert.equal(apu.ch2.lengthCounter, 2);
+    assert.equal(hex(apu.readRegister(0xFF16)), '0x3F');
+});
+
+test('wave RAM is kept and writable while powered off', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF30, 0x12);
+    apu.writeRegister(0xFF26, 0x00);
+    assert.equal(hex(apu.readRegister(0xFF30)), '0x12');
+    apu.writeRegister(0xFF3F, 0x34);
+    apu.writeRegister(0xFF26, 0x80);
+    assert.equal(hex(apu.readRegister(0xFF3F)), '0x34');
+});
+
+test('post-boot register values', () => {
+    const apu = poweredOn();
+    const expected = {
+        0xFF10: 0x80, 0xFF11: 0xBF, 0xFF12: 0xF3, 0xFF14: 0xBF, 0xFF16: 0x3F,
+        0xFF17: 0x00, 0xFF19: 0xBF, 0xFF1A: 0x7F, 0xFF1C: 0x9F, 0xFF1E: 0xBF,
+        0xFF21: 0x00, 0xFF22: 0x00, 0xFF23: 0xBF, 0xFF24: 0x77, 0xFF25: 0xF3, 0xFF26: 0xF1
+    };
+    for (const [addr, value] of Object.entries(expected)) {
+        assert.equal(hex(apu.readRegister(Number(addr))), hex(value), `read ${hex(addr & 0xFF)}`);
+    }
+});
+
+test('boot ROM start: powered off with registers cleared', () => {
+    const apu = new APU();
+    apu.reset(true);
+    assert.equal(hex(apu.readRegister(0xFF26)), '0x70');
+    assert.equal(hex(apu.readRegister(0xFF24)), '0x00');
+    assert.equal(hex(apu.readRegister(0xFF12)), '0x00');
+});
+
+// Channel 3 playing wave RAM bytes 0x01-0x10 with a 64-cycle sample period
+function playingWave(model) {
+    const apu = poweredOn();
+    apu.setModel(model);
+    for (let i = 0; i < 16; i++) apu.writeRegister(0xFF30 + i, i + 1);
+    apu.writeRegister(0xFF1A, 0x80);
+    apu.writeRegister(0xFF1D, 0xE0);    // Frequency 2016: period (2048 - 2016) * 2
+    apu.writeRegister(0xFF1E, 0x87);
+    return apu;
+}
+
+// Read 0xFF30 once per M-cycle for `cycles`
+function pollWave(apu, cycles) {
+    const reads = [];
+    for (let i = 0; i < cycles; i += 4) {
+        apu.step(4);
+        reads.push(apu.readRegister(0xFF30));
+    }
+    return reads;
+}
+
+test('DMG: wave RAM reads while playing hit only on fetch cycles', () => {
+    const apu = playingWave('dmg');
+    const reads = pollWave(apu, 64 * 8 + 6);
+    const hits = reads.filter((value) => value !== 0xFF);
+    // Position 1 (byte 0) is fetched first, then one position every 64 cycles
+    assert.deepEqual(hits, [1, 2, 2, 3, 3, 4, 4, 5]);
+});
+
+test('CGB: wave RAM reads while playing return the current byte', () => {
+    const apu = playingWave('cgb');
+    const reads = pollWave(apu, 64 * 4 + 8);
+    assert.ok(!reads.includes(0xFF));
+    assert.equal(reads[reads.length - 1], 3);  // Position 4 -> byte 2
+});
+
+test('DMG: wave RAM writes while playing are lost off the fetch cycle', () => {
+    const apu = playingWave('dmg');
+    apu.step(4);
+    apu.writeRegister(0xFF35, 0xAA);
+    apu.writeRegister(0xFF1A, 0x00);    // Stop channel 3 to look at wave RAM
+    assert.equal(hex(apu.readRegister(0xFF35)), '0x06');
+    assert.equal(hex(apu.readRegister(0xFF30)), '0x01');
+});
+
+test('DMG: retriggering on a fetch corrupts the start of wave RAM', () => {
+    const apu = playingWave('dmg');
+    // Run to just before the fetch of position 10 (byte 5): 70 + 8 * 64 cycles
+    for (let cycles = 0; cycles < 70 + 8 * 64 - 4; cycles += 4) apu.step(4);
+    apu.writeRegister(0xFF1E, 0x87);
+    apu.writeRegister(0xFF1A, 0x00);
+    const start = [0, 1, 2, 3].map((i) => apu.readRegister(0xFF30 + i));
+    assert.deepEqual(start, [5, 6, 7, 8]);  // Bytes 4-7 copied over 0-3
+});
+
+test('CGB: retriggering leaves wave RAM alone', () => {
+    const apu = playingWave('cgb');
+    for (let cycles = 0; cycles < 70 + 8 * 64 - 4; cycles += 4) apu.step(4);
+    apu.writeRegister(0xFF1E, 0x87);
+    apu.writeRegister(0xFF1A, 0x00);
+    const start = [0, 1, 2, 3].map((i) => apu.readRegister(0xFF30 + i));
+    assert.deepEqual(start, [1, 2, 3, 4]);
+});
+
+test('CGB: power off clears the length counters', () => {
+    const apu = poweredOn();
+    apu.setModel('cgb');
+    apu.writeRegister(0xFF20, 0x30);
+    apu.writeRegister(0xFF26, 0x00);
+    assert.equal(apu.ch4.lengthCounter, 0);
+    apu.writeRegister(0xFF20, 0x30);    // Ignored while off
+    assert.equal(apu.ch4.lengthCounter, 0);
+});
+
+test('enabling length in the first half of a length period clocks it', () => {
+    const apu = poweredOn();
+    runSteps(apu, 1);                   // Next step (1) doesn't clock length
+    apu.writeRegister(0xFF17, 0xF0);
+    apu.writeRegister(0xFF16, 0x3E);    // Length 2
+    apu.writeRegister(0xFF19, 0x80);    // Trigger, length off
+    apu.writeRegister(0xFF19, 0x40);    // Length on: extra clock to 1
+    assert.equal(apu.ch2.lengthCounter, 1);
+    assert.ok(apu.ch2.enabled);
+    apu.writeRegister(0xFF19, 0x00);
+    apu.writeRegister(0xFF19, 0x40);    // Extra clock to 0 stops the channel
+    assert.equal(hex(apu.readRegister(0xFF26)), '0xF1');
+
+    // Triggering with an empty counter and length on loads 63, not 64
+    apu.writeRegister(0xFF19, 0xC0);
+    assert.equal(apu.ch2.lengthCounter, 63);
+});
+
+test('no extra length clock in the second half of a length period', () => {
+    const apu = poweredOn();
+    runSteps(apu, 2);                   // Next step (2) clocks length
+    apu.writeRegister(0xFF17, 0xF0);
+    apu.writeRegister(0xFF16, 0x3E);
+    apu.writeRegister(0xFF19, 0xC0);
+    assert.equal(apu.ch2.lengthCounter, 2);
+});
+
+test('leaving sweep negate mode after a negate calculation disables channel 1', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF12, 0xF0);
+    apu.writeRegister(0xFF10, 0x19);    // Period 1, negate, shift 1
+    apu.writeRegister(0xFF13, 0x00);
+    apu.writeRegister(0xFF14, 0x84);    // Trigger runs a negate calculation
+    apu.writeRegister(0xFF10, 0x11);
+    assert.equal(apu.ch1.enabled, false);
+
+    // Without a negate calculation since the trigger the channel keeps playing
+    apu.writeRegister(0xFF10, 0x18);    // Shift 0: no calculation on trigger
+    apu.writeRegister(0xFF14, 0x84);
+    apu.writeRegister(0xFF10, 0x10);
+    assert.equal(apu.ch1.enabled, true);
+});
+
+test('NRx2 writes while playing change the volume (zombie mode)', () => {
+    const apu = poweredOn();
+    apu.writeRegister(0xFF17, 0x80);    // Volume 8, decrease, period 0
+    apu.writeRegister(0xFF19, 0x80);
+    apu.writeRegister(0xFF17, 0x80);    // Period was 0, envelope running: +1
+    assert.equal(apu.ch2.envVolume, 9);
+    apu.writeRegister(0xFF17, 0x81);    // +1, period 1 from now on
+    assert.equal(apu.ch2.envVolume, 10);
+    apu.writeRegister(0xFF17, 0x89);    // Decrease mode: +2, then direction flip: 16 - 12
+    assert.equal(apu.ch2.envVolume, 4);
+    apu.writeRegister(0xFF17, 0x00);    // DAC off stops the channel
+    assert.equal(apu.ch2.enabled, false);
+});
+
+done();
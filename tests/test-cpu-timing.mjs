@@ -0,0 +1,70 @@
+// Test when CPU bus accesses happen within an instruction (no ROM needed)
+// Run: node test-cpu-timing.mjs
+import assert from 'assert/strict';
+import { CPU } from '../src/cpu.js';
+import { test, done } from './harness.mjs';
+
+// Flat 64KB memory that records the cycle within the step of every write
+function makeCPU(program) {
+    const memory = new Uint8Array(0x10000);
+    memory.set(program, 0x100);
+    const writes = [];
+    const mmu = {
+        io: memory.subarray(0xFF00),
+        ie: 0,
+        hasRTC: false,
+        read: (addr) => memory[addr],
+        write: (addr, value) => {
+            writes.push({ addr, value, cycle: cpu.stepCycles });
+            memory[addr] = value;
+        }
+    };
+    const cpu = new CPU(mmu);
+    return { cpu, writes };
+}
+
+console.log('CPU bus timing');
+
+test('PUSH writes after its internal cycle', () => {
+    const { cpu, writes } = makeCPU([0xC5]);     // PUSH BC
+    cpu.b = 0x12;
+    cpu.c = 0x34;
+    assert.equal(cpu.step(), 16);
+    assert.deepEqual(writes, [
+        { addr: 0xFFFD, value: 0x12, cycle: 12 },
+        { addr: 0xFFFC, value: 0x34, cycle: 16 }
+    ]);
+});
+
+test('CALL writes in its last two M-cycles', () => {
+    const { cpu, writes } = makeCPU([0xCD, 0x00, 0x20]);   // CALL $2000
+    assert.equal(cpu.step(), 24);
+    assert.equal(cpu.pc, 0x2000);
+    assert.deepEqual(writes.map((w) => w.cycle), [20, 24]);
+});
+
+test('taken conditional CALL matches CALL', () => {
+    const { cpu, writes } = makeCPU([0xC4, 0x00, 0x20]);   // CALL NZ, $2000
+    cpu.flagZ = false;
+    assert.equal(cpu.step(), 24);
+    assert.deepEqual(writes.map((w) => w.cycle), [20, 24]);
+});
+
+test('RST writes in its last two M-cycles', () => {
+    const { cpu, writes } = makeCPU([0xFF]);     // RST 38H
+    assert.equal(cpu.step(), 16);
+    assert.equal(cpu.pc, 0x0038);
+    assert.deepEqual(writes.map((w) => w.cycle), [12, 16]);
+});
+
+test('interrupt dispatch pushes after two wait cycles', () => {
+    const { cpu, writes } = makeCPU([0x00]);
+    cpu.ime = true;
+    cpu.mmu.ie = 0x01;
+    cpu.mmu.io[0x0F] = 0x01;
+    assert.equal(cpu.step(), 20);
+    assert.equal(cpu.pc, 0x0040);
+    assert.deepEqual(writes.map((w) => w.cycle), [12, 16]);
+});
+
+done();
@@ -0,0 +1,28 @@
+// Test the ROM checksum against known CRC-32 values (no ROM needed)
+// Run: node test-crc32.mjs
+import assert from 'assert/strict';
+import { crc32 } from '../src/crc32.js';
+import { test, done } from './harness.mjs';
+
+const bytes = (str) => Uint8Array.from(str, (c) => c.charCodeAt(0));
+
+console.log('CRC-32');
+
+test('check value of "123456789"', () => {
+    assert.equal(crc32(bytes('123456789')), 0xCBF43926);
+});
+
+test('empty input', () => {
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('known strings', () => {
+    assert.equal(crc32(bytes('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+    assert.equal(crc32(new Uint8Array(32)), 0x190A55AD);
+});
+
+test('result is unsigned', () => {
+    assert.ok(crc32(bytes('123456789')) > 0x7FFFFFFF);
+});
+
+done();
@@ -0,0 +1,92 @@
+// Test GBS header parsing and the synthetic ROM built around a rip (no ROM needed)
+// Run: node test-gbs.mjs
+import assert from 'assert/strict';
+import { parseGBS, buildGBSROM, INIT_ENTRY } from '../src/gbs.js';
+import { parseHeader } from '../src/header.js';
+import { test, done } from './harness.mjs';
+
+// GBS file with the given header fields and `dataSize` bytes of code
+function makeGBS(fields = {}, dataSize = 0x100) {
+    const f = {
+        version: 1, trackCount: 12, firstTrack: 3, loadAddress: 0x400, initAddress: 0x420,
+        playAddress: 0x430, stackPointer: 0xDFFF, timerModulo: 0xC0, timerControl: 0x04,
+        title: 'Test Song', author: 'Composer', copyright: '1995 Nobody', ...fields
+    };
+    const data = new Uint8Array(0x70 + dataSize);
+    const view = new DataView(data.buffer);
+    data.set([0x47, 0x42, 0x53, f.version, f.trackCount, f.firstTrack]);
+    view.setUint16(0x06, f.loadAddress, true);
+    view.setUint16(0x08, f.initAddress, true);
+    view.setUint16(0x0A, f.playAddress, true);
+    view.setUint16(0x0C, f.stackPointer, true);
+    data[0x0E] = f.timerModulo;
+    data[0x0F] = f.timerControl;
+    const putString = (str, offset) => {
+        for (let i = 0; i < str.length; i++) data[offset + i] = str.charCodeAt(i);
+    };
+    putString(f.title, 0x10);
+    putString(f.author, 0x30);
+    putString(f.copyright, 0x50);
+    for (let i = 0; i < dataSize; i++) data[0x70 + i] = i & 0xFF;
+    return data;
+}
+
+console.log('GBS files');
+
+test('header fields', () => {
+    const gbs = parseGBS(makeGBS());
+    assert.equal(gbs.trackCount, 12);
+    assert.equal(gbs.firstTrack, 3);
+    assert.equal(gbs.loadAddress, 0x400);
+    assert.equal(gbs.initAddress, 0x420);
+    assert.equal(gbs.playAddress, 0x430);
+    assert.equal(gbs.stackPointer, 0xDFFF);
+    assert.equal(gbs.timerModulo, 0xC0);
+    assert.equal(gbs.timerControl, 0x04);
+    assert.equal(gbs.useTimer, true);
+    assert.equal(gbs.title, 'Test Song');
+    assert.equal(gbs.author, 'Composer');
+    assert.equal(gbs.copyright, '1995 Nobody');
+    assert.equal(gbs.data.length, 0x100);
+    assert.equal(gbs.data[5], 5);
+});
+
+test('V-Blank rips and out-of-range first tracks', () => {
+    const gbs = parseGBS(makeGBS({ timerControl: 0x00, firstTrack: 13 }));
+    assert.equal(gbs.useTimer, false);
+    assert.equal(gbs.firstTrack, 1);
+});
+
+test('invalid files are rejected', () => {
+    const notGBS = makeGBS();
+    notGBS[0] = 0x4E;
+    assert.throws(() => parseGBS(notGBS), /Not a GBS file/);
+    assert.throws(() => parseGBS(makeGBS().subarray(0, 0x40)), /Not a GBS file/);
+    assert.throws(() => parseGBS(makeGBS({ version: 2 })), /Unsupported GBS version 2/);
+    assert.throws(() => parseGBS(makeGBS({ trackCount: 0 })), /no tracks/);
+    assert.throws(() => parseGBS(makeGBS({ loadAddress: 0x200 })), /outside 0x400-0x7FFF/);
+});
+
+test('synthetic ROM places the rip and the driver', () => {
+    const gbs = parseGBS(makeGBS());
+    const rom = buildGBSROM(gbs);
+    assert.equal(rom.length, 0x8000);
+    assert.deepEqual(rom.subarray(0x400, 0x500), gbs.data);
+    assert.deepEqual([...rom.subarray(0x08, 0x0B)], [0xC3, 0x08, 0x04]);  // RST 08 -> load + 8
+    assert.equal(rom[0x40], 0xD9);                          // V-Blank unused with the timer
+    assert.equal(rom[0x50], 0xC3);                          // Timer calls PLAY
+    assert.equal(rom[INIT_ENTRY], 0x5F);
+
+    const header = parseHeader(rom);
+    assert.equal(header.title, 'TEST SONG');
+    assert.equal(header.cartTypeName, 'MBC5+RAM');
+    assert.deepEqual(header.warnings, []);
+});
+
+test('large rips get a bigger ROM', () => {
+    const rom = buildGBSROM(parseGBS(makeGBS({}, 0x8000)));
+    assert.equal(rom.length, 0x10000);
+    assert.equal(rom[0x148], 1);
+});
+
+done();
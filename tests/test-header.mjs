@@ -0,0 +1,66 @@
+// Test cartridge header parsing and validation warnings (no ROM needed)
+// Run: node test-header.mjs
+import assert from 'assert/strict';
+import { parseHeader, computeHeaderChecksum, computeGlobalChecksum } from '../src/header.js';
+import { test, done } from './harness.mjs';
+
+// 32KB MBC1 ROM with a title and correct checksums
+function makeROM(title = 'TESTGAME') {
+    const rom = new Uint8Array(0x8000);
+    for (let i = 0; i < title.length; i++) rom[0x134 + i] = title.charCodeAt(i);
+    rom[0x147] = 0x01;
+    rom[0x148] = 0x00;
+    rom[0x14D] = computeHeaderChecksum(rom);
+    const checksum = computeGlobalChecksum(rom);
+    rom[0x14E] = checksum >> 8;
+    rom[0x14F] = checksum & 0xFF;
+    return rom;
+}
+
+console.log('Cartridge header');
+
+test('valid header has no warnings', () => {
+    const header = parseHeader(makeROM());
+    assert.equal(header.title, 'TESTGAME');
+    assert.equal(header.mbcType, 1);
+    assert.equal(header.romBanks, 2);
+    assert.ok(header.headerChecksumValid);
+    assert.ok(header.globalChecksumValid);
+    assert.deepEqual(header.warnings, []);
+});
+
+test('bad header checksum is reported, not thrown', () => {
+    const rom = makeROM();
+    rom[0x14D] ^= 0xFF;
+    const header = parseHeader(rom);
+    assert.equal(header.headerChecksumValid, false);
+    assert.ok(header.warnings.some((w) => w.startsWith('Bad header checksum')));
+});
+
+test('bad global checksum is reported, not thrown', () => {
+    const rom = makeROM();
+    rom[0x4000] = 0x12;
+    const header = parseHeader(rom);
+    assert.ok(header.headerChecksumValid);
+    assert.equal(header.globalChecksumValid, false);
+    assert.ok(header.warnings.some((w) => w.startsWith('Bad global checksum')));
+});
+
+test('CGB title stops before the manufacturer code', () => {
+    const rom = makeROM('POKEMON YELAPSE');
+    rom[0x143] = 0x80;
+    const header = parseHeader(rom);
+    assert.equal(header.title, 'POKEMON YEL');
+    assert.equal(header.manufacturerCode, 'APSE');
+    assert.equal(header.cgbSupport, 'compatible');
+});
+
+test('ROM shorter than the header is decoded with a warning', () => {
+    const rom = makeROM().subarray(0, 0x140);
+    const header = parseHeader(rom);
+    assert.equal(header.title, 'TESTGAME');
+    assert.equal(header.mbcType, 0);        // Cartridge type byte is missing
+    assert.ok(header.warnings.some((w) => w.startsWith('ROM too small')));
+});
+
+done();
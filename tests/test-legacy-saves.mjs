@@ -0,0 +1,87 @@
+// Test that saves from before ROM hashing migrate and load (no ROM needed)
+// Run: node test-legacy-saves.mjs
+import assert from 'assert/strict';
+import { computeHeaderChecksum, computeGlobalChecksum } from '../src/header.js';
+import { compressRLE, bytesToBase64 } from '../src/savestate.js';
+import { test, done } from './harness.mjs';
+
+// In-memory localStorage, installed before the emulator module loads
+const store = new Map();
+globalThis.localStorage = {
+    get length() { return store.size; },
+    key: (i) => [...store.keys()][i] ?? null,
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: (key) => { store.delete(key); },
+    clear: () => store.clear()
+};
+const { Emulator } = await import('../src/emulator.js');
+
+const mockCtx = {
+    createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+    putImageData: () => {}
+};
+
+// 32KB ROM-only cart that loops at 0x150, with a CGB flag after a 15-character
+// title: the parsed title stops at the manufacturer code, the legacy one doesn't
+function makeROM() {
+    const rom = new Uint8Array(0x8000);
+    rom.set([0x00, 0xC3, 0x50, 0x01], 0x100);   // NOP; JP 0x150
+    rom.set([0x18, 0xFE], 0x150);               // JR -2
+    const title = 'POKEMON_SLVAAXE';
+    for (let i = 0; i < title.length; i++) rom[0x134 + i] = title.charCodeAt(i);
+    rom[0x143] = 0x80;
+    rom[0x14D] = computeHeaderChecksum(rom);
+    const checksum = computeGlobalChecksum(rom);
+    rom[0x14E] = checksum >> 8;
+    rom[0x14F] = checksum & 0xFF;
+    return rom;
+}
+
+// A version 1 JSON state as the title-keyed releases stored it
+function makeV1State(emulator) {
+    const state = emulator.saveState();
+    const mem = { ie: state.mem.ie };
+    for (const [name, bytes] of Object.entries(state.mem)) {
+        if (name !== 'ie') mem[name] = bytesToBase64(compressRLE(bytes));
+    }
+    const { rtcLatchedData, rtcLatchPrepare, rtcRegister, rtcCycles, bootROMMapped, ...mbc } = state.mbc;
+    const { romHash, apu, input, thumbnail, ...rest } = state;
+    return { ...rest, version: 1, rom: 'POKEMON_SLVAAXE', mbc, mem };
+}
+
+console.log('Legacy saves');
+
+test('CGB title-keyed state migrates and loads', () => {
+    const rom = makeROM();
+    const source = new Emulator(mockCtx);
+    source.loadROM(rom);
+    source.frameAdvance();
+    source.cpu.a = 0x5A;
+    const v1 = makeV1State(source);
+
+    localStorage.clear();
+    localStorage.setItem('gb_save_POKEMON_SLVAAXE', JSON.stringify(v1));
+
+    const emulator = new Emulator(mockCtx);
+    const header = emulator.loadROM(rom);
+    assert.equal(header.title, 'POKEMON_SLV');
+    assert.equal(localStorage.getItem('gb_save_POKEMON_SLVAAXE'), null);
+    assert.ok(emulator.hasSave(1));
+
+    emulator.load(1);
+    assert.equal(emulator.cpu.a, 0x5A);
+    assert.equal(emulator.cpu.pc, source.cpu.pc);
+});
+
+test('title-keyed state for another ROM is still rejected', () => {
+    const source = new Emulator(mockCtx);
+    source.loadROM(makeROM());
+    const v1 = { ...makeV1State(source), rom: 'POKEMON_GOLD' };
+
+    const emulator = new Emulator(mockCtx);
+    emulator.loadROM(makeROM());
+    assert.throws(() => emulator.loadState(v1), /is for "POKEMON_GOLD", but "POKEMON_SLVAAXE" is loaded/);
+});
+
+done();
@@ -0,0 +1,85 @@
+// Test MBC2 banking and built-in 512x4-bit RAM (no ROM needed)
+// Run: node test-mbc2.mjs
+import assert from 'assert/strict';
+import { MMU } from '../src/mmu.js';
+import { test, done } from './harness.mjs';
+
+// 256KB MBC2 cart (16 banks) with the bank number at the start of each bank
+function makeMMU() {
+    const rom = new Uint8Array(16 * 0x4000);
+    for (let bank = 0; bank < 16; bank++) rom[bank * 0x4000] = bank;
+    rom[0x147] = 0x05;
+    rom[0x148] = 0x03;
+    const mmu = new MMU();
+    mmu.loadROM(rom);
+    return mmu;
+}
+
+console.log('MBC2');
+
+test('address bit 8 set selects the ROM bank', () => {
+    const mmu = makeMMU();
+    mmu.write(0x2100, 0x03);
+    assert.equal(mmu.read(0x4000), 3);
+    mmu.write(0x0100, 0x07);    // Any address below 0x4000 with bit 8 set
+    assert.equal(mmu.read(0x4000), 7);
+    mmu.write(0x2100, 0xF5);    // Only the low 4 bits count
+    assert.equal(mmu.read(0x4000), 5);
+    assert.equal(mmu.ramEnabled, false);
+});
+
+test('address bit 8 clear enables RAM without touching the bank', () => {
+    const mmu = makeMMU();
+    mmu.write(0x2100, 0x04);
+    mmu.write(0x2000, 0x0A);    // Bit 8 clear: RAM enable, even above 0x2000
+    assert.equal(mmu.ramEnabled, true);
+    assert.equal(mmu.read(0x4000), 4);
+    mmu.write(0x0000, 0x00);
+    assert.equal(mmu.ramEnabled, false);
+});
+
+test('bank 0 maps to bank 1', () => {
+    const mmu = makeMMU();
+    mmu.write(0x2100, 0x06);
+    mmu.write(0x2100, 0x00);
+    assert.equal(mmu.read(0x4000), 1);
+    mmu.write(0x2100, 0x10);    // Low nibble 0
+    assert.equal(mmu.read(0x4000), 1);
+});
+
+test('writes to 0x4000-0x7FFF are ignored', () => {
+    const mmu = makeMMU();
+    mmu.write(0x2100, 0x02);
+    mmu.write(0x4000, 0x0A);
+    mmu.write(0x6100, 0x09);
+    assert.equal(mmu.read(0x4000), 2);
+    assert.equal(mmu.ramEnabled, false);
+});
+
+test('RAM stores 4 bits and reads the upper nibble as 1s', () => {
+    const mmu = makeMMU();
+    assert.equal(mmu.ramSize, 0x200);
+    mmu.write(0x0000, 0x0A);
+    mmu.write(0xA000, 0xAB);
+    assert.equal(mmu.read(0xA000), 0xFB);
+    assert.equal(mmu.eram[0], 0x0B);
+    mmu.write(0x0000, 0x00);
+    assert.equal(mmu.read(0xA000), 0xFF);    // Disabled
+    mmu.write(0xA000, 0x03);
+    mmu.write(0x0000, 0x0A);
+    assert.equal(mmu.read(0xA000), 0xFB);    // Write while disabled was dropped
+});
+
+test('RAM echoes every 512 bytes across A000-BFFF', () => {
+    const mmu = makeMMU();
+    mmu.write(0x0000, 0x0A);
+    mmu.write(0xA1FF, 0x05);
+    for (let addr = 0xA1FF; addr < 0xC000; addr += 0x200) {
+        assert.equal(mmu.read(addr), 0xF5);
+    }
+    mmu.write(0xBE10, 0x0C);    // Echo writes land in the same cell
+    assert.equal(mmu.read(0xA010), 0xFC);
+    assert.equal(mmu.exportSave().length, 0x200);
+});
+
+done();
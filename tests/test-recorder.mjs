@@ -0,0 +1,134 @@
+// Test the WAV recorder: file header, length and per-channel stems (no ROM needed)
+// Run: node test-recorder.mjs
+import assert from 'assert/strict';
+import { APU } from '../src/apu.js';
+import { WavRecorder } from '../src/recorder.js';
+import { test, done } from './harness.mjs';
+
+const CYCLES_PER_FRAME = 70224;
+
+const u16 = (bytes, offset) => new DataView(bytes.buffer).getUint16(offset, true);
+const u32 = (bytes, offset) => new DataView(bytes.buffer).getUint32(offset, true);
+const id = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Samples of a WAV file as [left, right] pairs
+function samples(wav) {
+    const view = new DataView(wav.buffer, 44);
+    const result = [];
+    for (let i = 0; i < view.byteLength; i += 4) {
+        result.push([view.getInt16(i, true), view.getInt16(i + 2, true)]);
+    }
+    return result;
+}
+
+// Powered-on APU playing a pulse on channel 1 (left only) and noise on
+// channel 4 (right only), recording into `recorder`
+function playing(recorder, synthesis = 'point') {
+    const apu = new APU();
+    apu.reset();
+    apu.setSynthesis(synthesis);
+    apu.setHighPass('none');
+    apu.recorder = recorder;
+    apu.writeRegister(0xFF24, 0x77);    // NR50: full volume both sides
+    apu.writeRegister(0xFF25, 0x18);    // NR51: ch1 left, ch4 right
+    apu.writeRegister(0xFF11, 0x80);    // 50% duty
+    apu.writeRegister(0xFF12, 0xF0);    // Volume 15, no envelope
+    apu.writeRegister(0xFF13, 0x00);
+    apu.writeRegister(0xFF14, 0x87);    // Trigger, ~1 kHz
+    apu.writeRegister(0xFF21, 0xA0);
+    apu.writeRegister(0xFF22, 0x20);
+    apu.writeRegister(0xFF23, 0x80);
+    return apu;
+}
+
+function runFrames(apu, frames) {
+    for (let i = 0; i < frames * CYCLES_PER_FRAME / 4; i++) apu.step(4);
+}
+
+console.log('WAV recorder');
+
+test('WAV header and length', () => {
+    const recorder = new WavRecorder(44100);
+    const apu = playing(recorder);
+    runFrames(apu, 3);
+
+    const expected = Math.floor(3 * CYCLES_PER_FRAME / apu.cyclesPerSample);
+    assert.ok(Math.abs(recorder.frames - expected) <= 1, `${recorder.frames} frames`);
+    assert.ok(Math.abs(recorder.duration - 3 * CYCLES_PER_FRAME / 4194304) < 0.001);
+
+    const wav = recorder.toWav();
+    const dataSize = recorder.frames * 4;
+    assert.equal(wav.length, 44 + dataSize);
+    assert.equal(id(wav, 0), 'RIFF');
+    assert.equal(u32(wav, 4), 36 + dataSize);
+    assert.equal(id(wav, 8), 'WAVE');
+    assert.equal(id(wav, 12), 'fmt ');
+    assert.equal(u32(wav, 16), 16);
+    assert.equal(u16(wav, 20), 1);          // PCM
+    assert.equal(u16(wav, 22), 2);          // Stereo
+    assert.equal(u32(wav, 24), 44100);
+    assert.equal(u32(wav, 28), 44100 * 4);
+    assert.equal(u16(wav, 32), 4);
+    assert.equal(u16(wav, 34), 16);
+    assert.equal(id(wav, 36), 'data');
+    assert.equal(u32(wav, 40), dataSize);
+});
+
+test('sample rate is rounded', () => {
+    const wav = new WavRecorder(47999.6).toWav();
+    assert.equal(u32(wav, 24), 48000);
+    assert.equal(wav.length, 44);
+});
+
+test('recording spans blocks', () => {
+    const recorder = new WavRecorder(44100);
+    for (let i = 0; i < 40000; i++) recorder.addSample(i / 40000, -i / 40000, null, 1);
+    const pcm = samples(recorder.toWav());
+    assert.equal(pcm.length, 40000);
+    assert.deepEqual(pcm[39999], [32766, -32766]);
+    assert.deepEqual(pcm[32768], [Math.round(32768 / 40000 * 32767), -Math.round(32768 / 40000 * 32767)]);
+});
+
+test('stems follow the panning and add up to the mix', () => {
+    for (const synthesis of ['point', 'bandlimited']) {
+        const recorder = new WavRecorder(44100, true);
+        runFrames(playing(recorder, synthesis), 3);
+
+        const mix = samples(recorder.toWav());
+        const stems = [1, 2, 3, 4].map((channel) => samples(recorder.toWav(channel)));
+        for (const stem of stems) assert.equal(stem.length, mix.length);
+
+        assert.ok(stems[0].some(([left]) => left !== 0), `${synthesis}: ch1 left is silent`);
+        assert.ok(stems[0].every(([, right]) => right === 0), `${synthesis}: ch1 leaks right`);
+        assert.ok(stems[3].some(([, right]) => right !== 0), `${synthesis}: ch4 right is silent`);
+        assert.ok(stems[3].every(([left]) => left === 0), `${synthesis}: ch4 leaks left`);
+        for (const stem of [stems[1], stems[2]]) {
+            assert.ok(stem.every(([left, right]) => left === 0 && right === 0));
+        }
+
+        // Within rounding: each track is rounded to 16 bits on its own
+        for (let i = 0; i < mix.length; i++) {
+            for (const side of [0, 1]) {
+                const sum = stems.reduce((total, stem) => total + stem[i][side], 0);
+                assert.ok(Math.abs(sum - mix[i][side]) <= 4, `${synthesis}: sample ${i} side ${side}`);
+            }
+        }
+    }
+});
+
+test('stems ignore the mute controls', () => {
+    const recorder = new WavRecorder(44100, true);
+    const apu = playing(recorder);
+    apu.setChannelMute(1, true);
+    runFrames(apu, 1);
+    assert.ok(samples(recorder.toWav()).every(([left]) => left === 0));
+    assert.ok(samples(recorder.toWav(1)).some(([left]) => left !== 0));
+});
+
+test('channel tracks need stems', () => {
+    const recorder = new WavRecorder(44100);
+    assert.throws(() => recorder.toWav(1), /no channel tracks/);
+    assert.throws(() => new WavRecorder(44100, true).toWav(5), /Channel must be 1-4/);
+});
+
+done();
@@ -0,0 +1,92 @@
+// Test the delta-compressed rewind history (no ROM needed)
+// Run: node test-rewind.mjs
+import assert from 'assert/strict';
+import { RewindBuffer } from '../src/rewind.js';
+import { test, done } from './harness.mjs';
+
+const SECTIONS = { vram: 0x2000, wram: 0x2000, oam: 0xA0, hram: 0x7F, io: 0x80, eram: 0x20000 };
+
+// Snapshot `n`: mostly shared memory with a few bytes changed per frame
+function makeState(n, thumbnail = true) {
+    const mem = { ie: n & 0x1F };
+    for (const [name, size] of Object.entries(SECTIONS)) {
+        const bytes = new Uint8Array(size);
+        for (let i = 0; i < size; i += 61) bytes[i] = i & 0xFF;
+        for (let i = 0; i < 8; i++) bytes[(n * 37 + i * 101) % size] = n + i;
+        mem[name] = bytes;
+    }
+    return {
+        cpu: { pc: 0x150 + n, a: n },
+        frame: n,
+        mem,
+        thumbnail: thumbnail ? new Uint8Array(160 * 144).fill(n & 3) : null
+    };
+}
+
+// Compare as popped: memory sections come back as views, thumbnail may be null
+function assertSameState(actual, expected) {
+    assert.deepEqual(actual.cpu, expected.cpu);
+    assert.equal(actual.frame, expected.frame);
+    assert.equal(actual.mem.ie, expected.mem.ie);
+    for (const name of Object.keys(SECTIONS)) {
+        assert.deepEqual(new Uint8Array(actual.mem[name]), expected.mem[name], name);
+    }
+    assert.deepEqual(actual.thumbnail && new Uint8Array(actual.thumbnail), expected.thumbnail);
+}
+
+console.log('Rewind buffer');
+
+test('pop returns pushed states exactly, newest first', () => {
+    const buffer = new RewindBuffer();
+    const states = Array.from({ length: 10 }, (_, n) => makeState(n));
+    for (const state of states) buffer.push(state);
+    assert.equal(buffer.length, 10);
+
+    for (let n = 9; n >= 0; n--) {
+        assertSameState(buffer.pop(), makeState(n));
+    }
+    assert.equal(buffer.pop(), null);
+    assert.equal(buffer.size, 0);
+});
+
+test('pushing after popping continues the chain', () => {
+    const buffer = new RewindBuffer();
+    for (let n = 0; n < 5; n++) buffer.push(makeState(n));
+    buffer.pop();
+    buffer.pop();
+    buffer.push(makeState(20));
+    assertSameState(buffer.pop(), makeState(20));
+    assertSameState(buffer.pop(), makeState(2));
+    assertSameState(buffer.pop(), makeState(1));
+});
+
+test('states without a thumbnail', () => {
+    const buffer = new RewindBuffer();
+    buffer.push(makeState(1, false));
+    buffer.push(makeState(2, false));
+    assertSameState(buffer.pop(), makeState(2, false));
+    assertSameState(buffer.pop(), makeState(1, false));
+});
+
+test('older deltas are much smaller than a full snapshot', () => {
+    const buffer = new RewindBuffer();
+    buffer.push(makeState(0));
+    const full = buffer.size;
+    buffer.push(makeState(1));
+    assert.ok(buffer.size - full < full / 4, `grew by ${buffer.size - full} bytes`);
+});
+
+test('budget drops the oldest states but keeps the newest', () => {
+    const buffer = new RewindBuffer(1);
+    for (let n = 0; n < 5; n++) buffer.push(makeState(n));
+    assert.equal(buffer.length, 1);
+    assertSameState(buffer.pop(), makeState(4));
+
+    const roomy = new RewindBuffer();
+    for (let n = 0; n < 6; n++) roomy.push(makeState(n));
+    roomy.setBudget(roomy.size - 1);
+    assert.ok(roomy.length < 6);
+    assertSameState(roomy.pop(), makeState(5));
+});
+
+done();
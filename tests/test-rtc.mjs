@@ -0,0 +1,127 @@
+// Test the MBC3 real-time clock and the .sav RTC footer (no ROM needed)
+// Run: node test-rtc.mjs
+import assert from 'assert/strict';
+import { MMU } from '../src/mmu.js';
+import { test, done } from './harness.mjs';
+
+const CYCLES_PER_SECOND = 4194304;
+
+// 64KB MBC3+TIMER+RAM+BATTERY cart with 32KB of RAM
+function makeMMU() {
+    const rom = new Uint8Array(0x10000);
+    rom[0x147] = 0x10;
+    rom[0x148] = 0x01;
+    rom[0x149] = 0x03;
+    const mmu = new MMU();
+    mmu.loadROM(rom);
+    return mmu;
+}
+
+// Run with Date.now() pinned, so elapsed wall-clock time is exact
+function atTime(seconds, fn) {
+    const now = Date.now;
+    Date.now = () => seconds * 1000;
+    try {
+        return fn();
+    } finally {
+        Date.now = now;
+    }
+}
+
+console.log('MBC3 RTC');
+
+test('ticks once per emulated second', () => {
+    const mmu = makeMMU();
+    assert.equal(mmu.hasRTC, true);
+    mmu.stepRTC(CYCLES_PER_SECOND - 4);
+    assert.equal(mmu.rtc.seconds, 0);
+    mmu.stepRTC(4);
+    assert.equal(mmu.rtc.seconds, 1);
+    mmu.stepRTC(CYCLES_PER_SECOND * 3);
+    assert.equal(mmu.rtc.seconds, 4);
+});
+
+test('halt bit stops the clock', () => {
+    const mmu = makeMMU();
+    mmu.rtc.daysHigh = 0x40;
+    mmu.stepRTC(CYCLES_PER_SECOND * 2);
+    mmu.advanceRTC(100);
+    assert.equal(mmu.rtc.seconds, 0);
+});
+
+test('seconds carry into minutes, hours and the 9-bit day counter', () => {
+    const mmu = makeMMU();
+    Object.assign(mmu.rtc, { seconds: 59, minutes: 59, hours: 23, daysLow: 0xFF, daysHigh: 0 });
+    mmu.tickRTC();
+    assert.deepEqual(mmu.rtc, { seconds: 0, minutes: 0, hours: 0, daysLow: 0x00, daysHigh: 0x01 });
+});
+
+test('day counter overflow sets the sticky carry bit', () => {
+    const mmu = makeMMU();
+    Object.assign(mmu.rtc, { seconds: 59, minutes: 59, hours: 23, daysLow: 0xFF, daysHigh: 0x01 });
+    mmu.tickRTC();
+    assert.equal(mmu.rtc.daysLow, 0);
+    assert.equal(mmu.rtc.daysHigh, 0x80);
+    mmu.advanceRTC(86400);
+    assert.equal(mmu.rtc.daysLow, 1);
+    assert.equal(mmu.rtc.daysHigh, 0x80);       // Stays set until the game clears it
+});
+
+test('out-of-range values wrap without carrying', () => {
+    const mmu = makeMMU();
+    mmu.rtc.seconds = 63;
+    mmu.tickRTC();
+    assert.equal(mmu.rtc.seconds, 0);
+    assert.equal(mmu.rtc.minutes, 0);
+});
+
+test('.sav footer round-trips through exportSave/importSave', () => {
+    const mmu = makeMMU();
+    mmu.eram[0] = 0x42;
+    mmu.eram[0x7FFF] = 0x24;
+    Object.assign(mmu.rtc, { seconds: 12, minutes: 34, hours: 5, daysLow: 0x67, daysHigh: 0x81 });
+    Object.assign(mmu.rtcLatchedData, { seconds: 11, minutes: 33, hours: 4, daysLow: 0x66, daysHigh: 0x01 });
+
+    const data = atTime(1700000000, () => mmu.exportSave());
+    assert.equal(data.length, 0x8000 + 48);
+    const view = new DataView(data.buffer);
+    assert.equal(view.getUint32(0x8000 + 4, true), 34);     // Current minutes
+    assert.equal(view.getUint32(0x8000 + 24, true), 33);    // Latched minutes
+    assert.equal(view.getUint32(0x8000 + 40, true), 1700000000);
+    assert.equal(view.getUint32(0x8000 + 44, true), 0);
+
+    const other = makeMMU();
+    atTime(1700000000, () => other.importSave(data));
+    assert.equal(other.eram[0], 0x42);
+    assert.equal(other.eram[0x7FFF], 0x24);
+    assert.deepEqual(other.rtc, mmu.rtc);
+    assert.deepEqual(other.rtcLatchedData, mmu.rtcLatchedData);
+});
+
+test('importing a footer catches up with elapsed real time', () => {
+    const mmu = makeMMU();
+    Object.assign(mmu.rtc, { seconds: 30, minutes: 0, hours: 0, daysLow: 0, daysHigh: 0 });
+    const data = atTime(1700000000, () => mmu.exportSave());
+
+    const other = makeMMU();
+    atTime(1700000000 + 86400 + 3661, () => other.importSave(data));
+    assert.deepEqual(other.rtc, { seconds: 31, minutes: 1, hours: 1, daysLow: 1, daysHigh: 0 });
+
+    // The older 44-byte footer has a 32-bit timestamp
+    const short = makeMMU();
+    atTime(1700000000 + 60, () => short.importSave(data.subarray(0, 0x8000 + 44)));
+    assert.equal(short.rtc.minutes, 1);
+});
+
+test('loading another ROM resets the clock', () => {
+    const mmu = makeMMU();
+    Object.assign(mmu.rtc, { seconds: 5, minutes: 6, hours: 7, daysLow: 8, daysHigh: 0xC1 });
+    mmu.rtcLatched = true;
+    mmu.stepRTC(1000);
+    mmu.loadROM(mmu.rom);
+    assert.deepEqual(mmu.rtc, { seconds: 0, minutes: 0, hours: 0, daysLow: 0, daysHigh: 0 });
+    assert.equal(mmu.rtcLatched, false);
+    assert.equal(mmu.rtcCycles, 0);
+});
+
+done();
@@ -0,0 +1,112 @@
+// Test the binary save state format and the migration chain (no ROM needed)
+// Run: node test-savestate.mjs
+import assert from 'assert/strict';
+import {
+    STATE_VERSION, migrateState, encodeState, decodeState,
+    compressRLE, bytesToBase64, stateToJSON, parseStateJSON
+} from '../src/savestate.js';
+import { test, done } from './harness.mjs';
+
+const MEMORY = { vram: 0x2000, wram: 0x2000, oam: 0xA0, hram: 0x7F, io: 0x80, eram: 0x20000 };
+
+// Memory with some structure (runs and noise) so RLE has both cases to handle
+function makeMemory(seed) {
+    const mem = { ie: 0x1F };
+    for (const [name, size] of Object.entries(MEMORY)) {
+        const bytes = new Uint8Array(size);
+        for (let i = 0; i < size; i++) {
+            bytes[i] = i % 97 < 40 ? 0 : (i * 31 + seed) & 0xFF;
+        }
+        mem[name] = bytes;
+    }
+    return mem;
+}
+
+function makeState() {
+    return {
+        version: STATE_VERSION,
+        timestamp: 1700000000123.5,
+        rom: 'TESTGAME',
+        romHash: '9abcdef0',
+        cpu: { a: 1, b: 2, c: 3, d: 4, e: 5, h: 6, l: 7, f: 0xB0, sp: 0xFFFE, pc: 0x150 },
+        ppu: { mode: 2, ly: 10 },
+        timer: { div: 0xAB },
+        mbc: { romBank: 3, ramBank: 0, ramEnabled: true },
+        apu: { masterEnable: true, ch1: { enabled: true, frequency: 1750 } },
+        input: { buttons: 0x0F },
+        mem: makeMemory(7),
+        thumbnail: new Uint8Array(160 * 144).map((_, i) => (i >> 5) & 3)
+    };
+}
+
+console.log('Save states');
+
+test('encode/decode round-trip', () => {
+    const state = makeState();
+    const decoded = decodeState(encodeState(state));
+    assert.deepEqual(decoded, state);
+});
+
+test('decoding skips unknown chunks', () => {
+    const bytes = encodeState(makeState());
+    // Rename the CPU chunk so the reader doesn't know it
+    const offset = 20;
+    assert.equal(String.fromCharCode(...bytes.subarray(offset, offset + 4)), 'META');
+    const view = new DataView(bytes.buffer);
+    const cpuOffset = offset + 8 + view.getUint32(offset + 4, true);
+    bytes.set([0x58, 0x58, 0x58, 0x58], cpuOffset);
+    const decoded = decodeState(bytes);
+    assert.equal(decoded.cpu, undefined);
+    assert.equal(decoded.rom, 'TESTGAME');
+});
+
+test('truncated and foreign data are rejected', () => {
+    const bytes = encodeState(makeState());
+    assert.throws(() => decodeState(bytes.subarray(0, bytes.length - 10)), /truncated/);
+    assert.throws(() => decodeState(new Uint8Array(64)), /Not a save state/);
+});
+
+test('JSON export round-trip', () => {
+    const state = makeState();
+    assert.deepEqual(parseStateJSON(stateToJSON(state)), state);
+});
+
+test('v1 state migrates through v2 to v3', () => {
+    const mem = makeMemory(3);
+    const legacyMem = { ie: mem.ie };
+    for (const name of Object.keys(MEMORY)) {
+        legacyMem[name] = bytesToBase64(compressRLE(mem[name]));
+    }
+    const v1 = {
+        version: 1,
+        timestamp: 1600000000000,
+        rom: 'OLDGAME',
+        cpu: { a: 1, pc: 0x100 },
+        mbc: { romBank: 1, rtc: { s: 5, m: 4, h: 3, dl: 2, dh: 1 } },
+        mem: legacyMem
+    };
+
+    const state = migrateState(parseStateJSON(JSON.stringify(v1)));
+    assert.equal(state.version, STATE_VERSION);
+    assert.equal(state.rom, 'OLDGAME');
+    assert.equal(state.apu, null);
+    assert.equal(state.input, null);
+    assert.deepEqual(state.mbc.rtcLatchedData, v1.mbc.rtc);
+    assert.notEqual(state.mbc.rtcLatchedData, state.mbc.rtc);
+    assert.equal(state.mbc.bootROMMapped, false);
+    assert.deepEqual(state.mem, mem);
+});
+
+test('missing v2 memory sections become zeroed', () => {
+    const state = migrateState({ version: 2, mbc: {}, mem: { ie: 0, vram: null } });
+    assert.deepEqual(state.mem.vram, new Uint8Array(0x2000));
+    assert.deepEqual(state.mem.eram, new Uint8Array(0x20000));
+});
+
+test('invalid and newer versions are rejected', () => {
+    assert.throws(() => migrateState({}), /Invalid save state/);
+    assert.throws(() => migrateState({ version: STATE_VERSION + 1 }), /newer than supported/);
+    assert.throws(() => migrateState({ version: 0 }), /Unsupported/);
+});
+
+done();
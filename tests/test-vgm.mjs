@@ -0,0 +1,173 @@
+// Test the VGM logger: header, waits, loop point, GD3 tags and state dumps
+// replayed into a second APU (no ROM needed)
+// Run: node test-vgm.mjs
+import assert from 'assert/strict';
+import { APU } from '../src/apu.js';
+import { VgmLogger } from '../src/vgm.js';
+import { test, done } from './harness.mjs';
+
+const DMG_CLOCK = 4194304;
+const u32 = (bytes, offset) => new DataView(bytes.buffer).getUint32(offset, true);
+
+// Commands from the data block: [['write', reg, value] | ['wait', samples]]
+function parseCommands(vgm) {
+    const commands = [];
+    let offset = 0x34 + u32(vgm, 0x34);
+    for (;;) {
+        const op = vgm[offset];
+        if (op === 0x66) break;
+        if (op === 0xB3) {
+            commands.push(['write', vgm[offset + 1], vgm[offset + 2]]);
+            offset += 3;
+        } else if (op === 0x61) {
+            commands.push(['wait', vgm[offset + 1] | (vgm[offset + 2] << 8)]);
+            offset += 3;
+        } else if (op === 0x62 || op === 0x63) {
+            commands.push(['wait', op === 0x62 ? 735 : 882]);
+            offset++;
+        } else if (op >= 0x70 && op <= 0x7F) {
+            commands.push(['wait', op - 0x6F]);
+            offset++;
+        } else {
+            throw new Error(`Unexpected command 0x${op.toString(16)} at 0x${offset.toString(16)}`);
+        }
+    }
+    return { commands, end: offset };
+}
+
+// GD3 strings, in order
+function parseGD3(vgm) {
+    const start = 0x14 + u32(vgm, 0x14);
+    assert.equal(String.fromCharCode(...vgm.subarray(start, start + 4)), 'Gd3 ');
+    assert.equal(u32(vgm, start + 4), 0x100);
+    const length = u32(vgm, start + 8);
+    assert.equal(start + 12 + length, vgm.length);
+    const text = new TextDecoder('utf-16le').decode(vgm.subarray(start + 12, start + 12 + length));
+    return text.split('\0').slice(0, -1);
+}
+
+// Play a log's register writes into a fresh, powered-off APU
+function replay(vgm) {
+    const apu = new APU();
+    apu.reset(true);
+    for (const [type, reg, value] of parseCommands(vgm).commands) {
+        if (type === 'write') apu.writeRegister(0xFF10 + reg, value);
+    }
+    return apu;
+}
+
+function assertSameChip(player, apu) {
+    for (let addr = 0xFF10; addr <= 0xFF26; addr++) {
+        assert.equal(player.readRegister(addr), apu.readRegister(addr), `read 0x${addr.toString(16)}`);
+    }
+    for (const ch of ['ch1', 'ch2', 'ch3', 'ch4']) {
+        assert.equal(player[ch].lengthCounter, apu[ch].lengthCounter, `${ch} length`);
+        assert.equal(player[ch].frequency, apu[ch].frequency, `${ch} frequency`);
+    }
+    assert.deepEqual(player.waveRam, apu.waveRam);
+}
+
+console.log('VGM logger');
+
+test('header fields', () => {
+    const logger = new VgmLogger();
+    logger.write(0xFF26, 0x80);
+    logger.advance(DMG_CLOCK);          // One second
+    logger.write(0xFF12, 0xF0);
+    const vgm = logger.toVgm();
+
+    assert.equal(String.fromCharCode(...vgm.subarray(0, 4)), 'Vgm ');
+    assert.equal(u32(vgm, 0x04), vgm.length - 4);
+    assert.equal(u32(vgm, 0x08), 0x161);
+    assert.equal(u32(vgm, 0x18), 44100);
+    assert.equal(u32(vgm, 0x1C), 0);    // No loop
+    assert.equal(u32(vgm, 0x34) + 0x34, 0x100);
+    assert.equal(u32(vgm, 0x80), DMG_CLOCK);
+
+    const { commands, end } = parseCommands(vgm);
+    assert.deepEqual(commands, [['write', 0x16, 0x80], ['wait', 44100], ['write', 0x02, 0xF0]]);
+    assert.equal(0x14 + u32(vgm, 0x14), end + 1);   // GD3 follows the end marker
+});
+
+test('frame waits use the short forms', () => {
+    const logger = new VgmLogger();
+    logger.advance(DMG_CLOCK * 735 / 44100);
+    logger.write(0xFF24, 0x77);
+    logger.advance(Math.ceil(DMG_CLOCK * 5 / 44100));
+    logger.write(0xFF24, 0x77);
+    const { commands } = parseCommands(logger.toVgm());
+    assert.deepEqual(commands, [['wait', 735], ['write', 0x14, 0x77], ['wait', 5], ['write', 0x14, 0x77]]);
+});
+
+test('loop offset and length', () => {
+    const logger = new VgmLogger();
+    logger.write(0xFF26, 0x80);
+    logger.advance(DMG_CLOCK / 2);
+    logger.markLoop();
+    logger.write(0xFF12, 0xF0);
+    logger.advance(DMG_CLOCK);
+    const vgm = logger.toVgm();
+
+    const loopOffset = 0x1C + u32(vgm, 0x1C);
+    assert.deepEqual([...vgm.subarray(loopOffset, loopOffset + 3)], [0xB3, 0x02, 0xF0]);
+    assert.equal(u32(vgm, 0x20), 44100);
+    assert.equal(u32(vgm, 0x18), 44100 + 22050);
+});
+
+test('GD3 tags', () => {
+    const logger = new VgmLogger({ track: 'Title Theme', game: 'TESTGAME', author: 'Composer', notes: 'é' });
+    const strings = parseGD3(logger.toVgm());
+    assert.deepEqual(strings, [
+        'Title Theme', '', 'TESTGAME', '', 'Nintendo Game Boy', '', 'Composer', '', '', '', 'é'
+    ]);
+});
+
+test('state dump rebuilds the APU registers', () => {
+    const apu = new APU();
+    apu.reset();
+    for (let i = 0; i < 16; i++) apu.writeRegister(0xFF30 + i, i * 0x13);
+    apu.writeRegister(0xFF24, 0x35);
+    apu.writeRegister(0xFF25, 0x96);
+    apu.writeRegister(0xFF16, 0x8A);    // Duty 2, length 54
+    apu.writeRegister(0xFF17, 0xA3);
+    apu.writeRegister(0xFF18, 0x34);
+    apu.writeRegister(0xFF19, 0xC6);
+    apu.writeRegister(0xFF1A, 0x80);
+    apu.writeRegister(0xFF1C, 0x40);
+    apu.writeRegister(0xFF1D, 0x12);
+    apu.writeRegister(0xFF1E, 0x85);
+    apu.writeRegister(0xFF22, 0x5B);
+
+    const logger = new VgmLogger();
+    logger.writeState(apu);
+    const player = replay(logger.toVgm());
+    assertSameChip(player, apu);
+    assert.equal(player.ch2.enabled, true);
+    assert.equal(player.ch3.enabled, true);
+});
+
+test('state dump after a power cycle has no stale registers', () => {
+    const apu = new APU();
+    apu.reset();
+    apu.writeRegister(0xFF12, 0xF0);
+    apu.writeRegister(0xFF24, 0x77);
+    apu.writeRegister(0xFF25, 0xFF);
+    apu.writeRegister(0xFF26, 0x00);    // Clears them
+    apu.writeRegister(0xFF17, 0xF0);    // Ignored while off
+    apu.writeRegister(0xFF24, 0x44);
+
+    const logger = new VgmLogger();
+    logger.writeState(apu);
+    assertSameChip(replay(logger.toVgm()), apu);
+
+    apu.writeRegister(0xFF26, 0x80);
+    apu.writeRegister(0xFF25, 0x11);
+    const resynced = new VgmLogger();
+    resynced.writeState(apu);
+    const player = replay(resynced.toVgm());
+    assertSameChip(player, apu);
+    assert.equal(player.readRegister(0xFF12), 0x00);
+    assert.equal(player.readRegister(0xFF24), 0x00);
+});
+
+done();